@@ -0,0 +1,185 @@
+import { unauthenticated } from "./shopify.server";
+
+// Shared Admin GraphQL client for server code that acts on a shop outside of an
+// embedded admin request (storefront proxy calls, webhooks, jobs). It uses the
+// shop's offline session and the API version configured in shopify.server.js,
+// retries throttled requests and turns Shopify's error shapes into the typed
+// errors below.
+
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+// The Admin API's limit for `nodes(ids:)`.
+const MAX_NODES_PER_QUERY = 250;
+const CUSTOMERS_PAGE_SIZE = 50;
+
+export class AdminGraphqlError extends Error {
+  constructor(message, { errors = [], cause } = {}) {
+    super(message, { cause });
+    this.name = "AdminGraphqlError";
+    this.errors = errors;
+  }
+}
+
+// The app has not been approved for protected customer data, so customer
+// fields and metafields are off limits.
+export class ProtectedCustomerDataError extends AdminGraphqlError {
+  constructor(errors) {
+    super("Protected Customer Data Access Required", { errors });
+    this.name = "ProtectedCustomerDataError";
+  }
+}
+
+export class ThrottledError extends AdminGraphqlError {
+  constructor(retryAfterMs, options) {
+    super("Shopify Admin API is throttling requests", options);
+    this.name = "ThrottledError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class UserErrorsError extends AdminGraphqlError {
+  constructor(message, userErrors) {
+    super(message, { errors: userErrors });
+    this.name = "UserErrorsError";
+    this.userErrors = userErrors;
+  }
+}
+
+export class ShopNotInstalledError extends AdminGraphqlError {
+  constructor(shop, cause) {
+    super(`App is not installed on shop: ${shop}`, { cause });
+    this.name = "ShopNotInstalledError";
+    this.shop = shop;
+  }
+}
+
+export async function adminGraphql(
+  shop,
+  query,
+  { variables, maxRetries = DEFAULT_MAX_RETRIES } = {},
+) {
+  const admin = await getAdmin(shop);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await admin.graphql(query, { variables });
+      const body = await response.json();
+      return body.data;
+    } catch (error) {
+      const typed = toTypedError(error, attempt);
+      if (!(typed instanceof ThrottledError) || attempt >= maxRetries) {
+        throw typed;
+      }
+
+      console.log(
+        `[admin-graphql] Throttled on ${shop}, retrying in ${typed.retryAfterMs}ms (attempt ${attempt + 1}/${maxRetries})`,
+      );
+      await sleep(typed.retryAfterMs);
+    }
+  }
+}
+
+// Runs a `nodes(ids: $ids)` query for any number of ids, a chunk the API
+// accepts at a time, and returns the nodes that exist. Repeated ids are looked
+// up once.
+export async function fetchNodesInChunks(shop, query, ids) {
+  const unique = [...new Set(ids)];
+  const nodes = [];
+
+  for (let start = 0; start < unique.length; start += MAX_NODES_PER_QUERY) {
+    const data = await adminGraphql(shop, query, {
+      variables: { ids: unique.slice(start, start + MAX_NODES_PER_QUERY) },
+    });
+    nodes.push(...data.nodes.filter(Boolean));
+  }
+
+  return nodes;
+}
+
+// One page of a query over `customers(first: $first, after: $after)`, which
+// must select `pageInfo { hasNextPage endCursor }` and `nodes`. Returns the
+// customers and the cursor of the next page, null after the last one.
+export async function fetchCustomersPage(shop, query, { after = null, variables } = {}) {
+  const data = await adminGraphql(shop, query, {
+    variables: { ...variables, first: CUSTOMERS_PAGE_SIZE, after },
+  });
+  const { nodes, pageInfo } = data.customers;
+  return { customers: nodes, nextCursor: pageInfo.hasNextPage ? pageInfo.endCursor : null };
+}
+
+export function assertNoUserErrors(payload, message = "Shopify rejected the request") {
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new UserErrorsError(message, userErrors);
+  }
+  return payload;
+}
+
+async function getAdmin(shop) {
+  try {
+    const { admin } = await unauthenticated.admin(shop);
+    return admin;
+  } catch (error) {
+    if (error?.name === "SessionNotFoundError") {
+      throw new ShopNotInstalledError(shop, error);
+    }
+    throw error;
+  }
+}
+
+function toTypedError(error, attempt) {
+  // HTTP 429 from the API (HttpThrottlingError in @shopify/shopify-api).
+  if (error?.response?.code === 429) {
+    const retryAfter = error.response.retryAfter;
+    return new ThrottledError(
+      retryAfter ? retryAfter * 1000 : backoff(attempt),
+      { cause: error },
+    );
+  }
+
+  // GraphQL-level errors arrive with a 200 (GraphqlQueryError).
+  const graphQLErrors = error?.body?.errors?.graphQLErrors;
+  if (!Array.isArray(graphQLErrors)) {
+    return error;
+  }
+
+  if (graphQLErrors.some((e) => e.extensions?.code === "THROTTLED")) {
+    return new ThrottledError(
+      throttleDelay(error.body.extensions?.cost) ?? backoff(attempt),
+      { errors: graphQLErrors, cause: error },
+    );
+  }
+
+  const accessDenied = graphQLErrors.filter(
+    (e) =>
+      e.extensions?.code === "ACCESS_DENIED" &&
+      e.message?.includes("protected customer data"),
+  );
+  if (accessDenied.length > 0) {
+    return new ProtectedCustomerDataError(accessDenied);
+  }
+
+  return new AdminGraphqlError(graphQLErrors[0]?.message || "GraphQL request failed", {
+    errors: graphQLErrors,
+    cause: error,
+  });
+}
+
+// Wait until the bucket has refilled enough to pay for the rejected query.
+function throttleDelay(cost) {
+  const status = cost?.throttleStatus;
+  if (!status?.restoreRate || !cost.requestedQueryCost) return null;
+
+  const missing = cost.requestedQueryCost - status.currentlyAvailable;
+  if (missing <= 0) return BASE_BACKOFF_MS;
+  return Math.min(Math.ceil((missing / status.restoreRate) * 1000), MAX_BACKOFF_MS);
+}
+
+function backoff(attempt) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,108 @@
+import db from "../db.server";
+import { getShopSettings } from "../settings.server";
+import {
+  findCustomersWithFavorite,
+  isProductFavorited,
+} from "../favorites/favorite-index.server";
+import { recordVariantStates } from "./snapshots.server";
+
+// Called from the product and inventory webhooks with
+//   { productId, title, handle, status,
+//     variants: [{ variantId, inventoryItemId?, title, price, available }] }
+// Only favorited products are tracked. Snapshots are kept current even while
+// alerts are off, so turning them on does not email about old changes.
+// Returns how many notifications were queued.
+export async function processProductUpdate(shop, product) {
+  if (!(await isProductFavorited(shop, product.productId))) return 0;
+
+  const changes = await recordVariantStates(shop, product.productId, product.variants);
+  const settings = await getShopSettings(shop);
+  if (!settings.alertsEnabled || product.status !== "ACTIVE") return 0;
+
+  let queued = 0;
+
+  const restocked = changes.find((change) => change.restocked);
+  if (restocked) {
+    queued += await queueAlerts(shop, "restock", product, restocked, settings);
+  }
+
+  // One email for the variant with the biggest drop.
+  const [drop] = changes
+    .filter((change) => change.dropPercent >= settings.priceDropThreshold)
+    .sort((a, b) => b.dropPercent - a.dropPercent);
+  if (drop) {
+    queued += await queueAlerts(shop, "price_drop", product, drop, settings);
+  }
+
+  return queued;
+}
+
+// Queues one notification per customer who favorited the product, minus
+// those who opted out and those already alerted about it within the dedup
+// window.
+async function queueAlerts(shop, kind, product, change, { alertDedupHours }) {
+  const customerIds = await findCustomersWithFavorite(shop, product.productId);
+  if (customerIds.length === 0) return 0;
+
+  const since = new Date(Date.now() - alertDedupHours * 60 * 60 * 1000);
+  const [optedOut, recent] = await Promise.all([
+    db.alertOptOut.findMany({
+      where: { shop, customerId: { in: customerIds } },
+      select: { customerId: true },
+    }),
+    db.notification.findMany({
+      where: {
+        shop,
+        customerId: { in: customerIds },
+        productId: product.productId,
+        kind,
+        createdAt: { gte: since },
+      },
+      select: { customerId: true },
+    }),
+  ]);
+  const skip = new Set([...optedOut, ...recent].map((row) => row.customerId));
+  const recipients = customerIds.filter((customerId) => !skip.has(customerId));
+  if (recipients.length === 0) return 0;
+
+  const payload = JSON.stringify({
+    title: product.title,
+    handle: product.handle,
+    variantTitle: change.title ?? null,
+    previousPrice: change.previousPrice,
+    price: change.price,
+  });
+  await db.notification.createMany({
+    data: recipients.map((customerId) => ({
+      shop,
+      customerId,
+      productId: product.productId,
+      variantId: change.variantId,
+      kind,
+      payload,
+    })),
+  });
+
+  console.log(`[alerts] Queued ${recipients.length} ${kind} alerts for ${product.productId} on ${shop}`);
+  return recipients.length;
+}
+
+export async function isAlertOptedOut({ shop, customerId }) {
+  const row = await db.alertOptOut.findUnique({
+    where: { shop_customerId: { shop, customerId } },
+  });
+  return Boolean(row);
+}
+
+export async function setAlertOptOut({ shop, customerId }, optedOut) {
+  if (optedOut) {
+    await db.alertOptOut.upsert({
+      where: { shop_customerId: { shop, customerId } },
+      create: { shop, customerId },
+      update: {},
+    });
+  } else {
+    await db.alertOptOut.deleteMany({ where: { shop, customerId } });
+  }
+  return optedOut;
+}
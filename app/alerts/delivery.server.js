@@ -0,0 +1,165 @@
+import db from "../db.server";
+import { adminGraphql } from "../admin-graphql.server";
+import { getTransport } from "./transports.server";
+
+const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 50;
+// A "sending" row claimed longer ago than this was abandoned mid-send.
+const STALE_SENDING_MS = 15 * 60 * 1000;
+
+const ALERT_RECIPIENT_QUERY = `#graphql
+  query alertRecipient($customerId: ID!) {
+    shop {
+      name
+      currencyCode
+      primaryDomain {
+        url
+      }
+    }
+    customer(id: $customerId) {
+      email
+      firstName
+    }
+  }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function renderEmail(notification, { shop, customer }) {
+  const product = JSON.parse(notification.payload);
+  const format = (amount) =>
+    new Intl.NumberFormat("en", { style: "currency", currency: shop.currencyCode }).format(
+      Number(amount),
+    );
+  const name = product.variantTitle && product.variantTitle !== "Default Title"
+    ? `${product.title} (${product.variantTitle})`
+    : product.title;
+  const url = `${shop.primaryDomain.url}/products/${product.handle}`;
+
+  const subject = notification.kind === "restock"
+    ? `${product.title} is back in stock`
+    : `${product.title} is now ${format(product.price)}`;
+  const lines = [
+    customer.firstName ? `Hi ${customer.firstName},` : "Hi,",
+    notification.kind === "restock"
+      ? `${name}, which you saved to your favorites, is back in stock.`
+      : `${name}, which you saved to your favorites, dropped from ${format(product.previousPrice)} to ${format(product.price)}.`,
+    url,
+    `You get this email because you favorited this product at ${shop.name}. You can turn these emails off on your favorites page.`,
+  ];
+
+  return {
+    to: customer.email,
+    subject,
+    text: lines.join("\n\n"),
+    html: lines
+      .map((line) =>
+        line === url
+          ? `<p><a href="${escapeHtml(url)}">View ${escapeHtml(product.title)}</a></p>`
+          : `<p>${escapeHtml(line)}</p>`,
+      )
+      .join("\n"),
+  };
+}
+
+// Claims the row so overlapping runs do not send the same email twice.
+async function claim(notification) {
+  const { count } = await db.notification.updateMany({
+    where: { id: notification.id, status: "pending" },
+    data: { status: "sending", attempts: { increment: 1 }, claimedAt: new Date() },
+  });
+  return count === 1;
+}
+
+async function deliver(notification, transport) {
+  const optedOut = await db.alertOptOut.findUnique({
+    where: {
+      shop_customerId: { shop: notification.shop, customerId: notification.customerId },
+    },
+  });
+  if (optedOut) return { status: "skipped", error: "Customer opted out" };
+
+  const data = await adminGraphql(notification.shop, ALERT_RECIPIENT_QUERY, {
+    variables: { customerId: notification.customerId },
+  });
+  if (!data.customer?.email) {
+    return { status: "skipped", error: "Customer has no email address" };
+  }
+
+  await transport.send(renderEmail(notification, data));
+  return { status: "sent", sentAt: new Date() };
+}
+
+// Sends a batch of pending notifications for the shop. Failures are retried
+// on later runs until MAX_ATTEMPTS. Returns counts by outcome.
+export async function deliverPendingNotifications(shop) {
+  const transport = getTransport();
+  const pending = await db.notification.findMany({
+    where: { shop, status: "pending" },
+    orderBy: { createdAt: "asc" },
+    take: BATCH_SIZE,
+  });
+  const report = { sent: 0, skipped: 0, failed: 0, retrying: 0 };
+
+  for (const notification of pending) {
+    if (!(await claim(notification))) continue;
+
+    let result;
+    try {
+      result = await deliver(notification, transport);
+    } catch (error) {
+      console.error(`[alerts] Could not send notification ${notification.id}:`, error);
+      const attempts = notification.attempts + 1;
+      result = {
+        status: attempts >= MAX_ATTEMPTS ? "failed" : "pending",
+        error: error.message || String(error),
+      };
+    }
+
+    await db.notification.update({ where: { id: notification.id }, data: result });
+    report[result.status === "pending" ? "retrying" : result.status]++;
+  }
+
+  if (pending.length > 0) {
+    console.log(`[alerts] ${shop}: ${JSON.stringify(report)}`);
+  }
+  return report;
+}
+
+// Retries what webhook-triggered runs left behind: rows still pending after a
+// failed attempt, and rows stuck in "sending" because the process stopped
+// mid-send. Those count the interrupted attempt, so an email that keeps
+// crashing the sender still ends up "failed". Runs from app/maintenance.server.js.
+export async function retryUndeliveredNotifications() {
+  const staleBefore = new Date(Date.now() - STALE_SENDING_MS);
+  await db.notification.updateMany({
+    where: { status: "sending", claimedAt: { lt: staleBefore }, attempts: { gte: MAX_ATTEMPTS } },
+    data: { status: "failed", error: "Delivery was interrupted" },
+  });
+  await db.notification.updateMany({
+    where: { status: "sending", claimedAt: { lt: staleBefore } },
+    data: { status: "pending" },
+  });
+
+  const shops = await db.notification.findMany({
+    where: { status: "pending" },
+    distinct: ["shop"],
+    select: { shop: true },
+  });
+  for (const { shop } of shops) {
+    try {
+      await deliverPendingNotifications(shop);
+    } catch (error) {
+      console.error(`[alerts] Retry run failed for ${shop}:`, error);
+    }
+  }
+}
+
+// For webhooks, which have to answer Shopify within a few seconds.
+export function deliverInBackground(shop) {
+  deliverPendingNotifications(shop).catch((error) => {
+    console.error(`[alerts] Delivery run failed for ${shop}:`, error);
+  });
+}
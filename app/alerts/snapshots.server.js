@@ -0,0 +1,59 @@
+import db from "../db.server";
+
+// Saves the given variants' price, availability and inventory item (when
+// known) and returns what changed
+// since the last snapshot:
+//   { variantId, title, restocked, previousPrice, price, dropPercent }
+// Variants seen for the first time only get a snapshot; there is nothing to
+// compare them with yet.
+export async function recordVariantStates(shop, productId, variants) {
+  const previous = await db.variantSnapshot.findMany({
+    where: { shop, variantId: { in: variants.map((variant) => variant.variantId) } },
+  });
+  const changes = [];
+
+  for (const variant of variants) {
+    const before = previous.find((row) => row.variantId === variant.variantId);
+    const price = String(variant.price);
+
+    if (before) {
+      const previousPrice = Number(before.price);
+      const dropPercent =
+        previousPrice > 0 ? ((previousPrice - Number(price)) / previousPrice) * 100 : 0;
+      changes.push({
+        variantId: variant.variantId,
+        title: variant.title,
+        restocked: !before.available && variant.available,
+        previousPrice: before.price,
+        price,
+        dropPercent,
+      });
+    }
+
+    await db.variantSnapshot.upsert({
+      where: { shop_variantId: { shop, variantId: variant.variantId } },
+      create: {
+        shop,
+        variantId: variant.variantId,
+        productId,
+        inventoryItemId: variant.inventoryItemId ?? null,
+        price,
+        available: variant.available,
+      },
+      update: {
+        productId,
+        ...(variant.inventoryItemId ? { inventoryItemId: variant.inventoryItemId } : {}),
+        price,
+        available: variant.available,
+      },
+    });
+  }
+
+  return changes;
+}
+
+// Whether any variant of a tracked product uses the inventory item.
+export async function isInventoryItemTracked(shop, inventoryItemId) {
+  const count = await db.variantSnapshot.count({ where: { shop, inventoryItemId } });
+  return count > 0;
+}
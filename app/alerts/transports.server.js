@@ -0,0 +1,28 @@
+import { consoleTransport } from "./transports/console.server";
+import { smtpTransport } from "./transports/smtp.server";
+
+// How alert emails leave the app. Every transport has the same shape:
+//   name                                   value of ALERTS_TRANSPORT
+//   send({ to, subject, text, html })      throws if the email was not sent
+// ALERTS_TRANSPORT picks one explicitly; otherwise SMTP is used when SMTP_URL
+// is set. SMTP also needs ALERTS_FROM_EMAIL; without it emails are logged
+// instead, with a warning.
+const TRANSPORTS = [smtpTransport, consoleTransport];
+
+let warnedNoSender = false;
+
+export function getTransport() {
+  const name = process.env.ALERTS_TRANSPORT || (process.env.SMTP_URL ? "smtp" : "console");
+  const transport = TRANSPORTS.find((candidate) => candidate.name === name);
+  if (!transport) {
+    throw new Error(`Unknown ALERTS_TRANSPORT: ${name}`);
+  }
+  if (transport === smtpTransport && !process.env.ALERTS_FROM_EMAIL) {
+    if (!warnedNoSender) {
+      console.warn("[alerts] ALERTS_FROM_EMAIL is not set, logging alert emails instead of sending them");
+      warnedNoSender = true;
+    }
+    return consoleTransport;
+  }
+  return transport;
+}
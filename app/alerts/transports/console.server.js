@@ -0,0 +1,8 @@
+// Logs emails instead of sending them. The default when no SMTP server is
+// configured, so alerts can be tried without one.
+export const consoleTransport = {
+  name: "console",
+  async send({ to, subject, text }) {
+    console.log(`[alerts] Email to ${to}: ${subject}\n${text}`);
+  },
+};
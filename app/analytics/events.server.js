@@ -0,0 +1,57 @@
+import db from "../db.server";
+import { DEFAULT_LIST_ID } from "../favorites/document.server";
+
+// How each event type changes the shopper's list size. "added" and "removed"
+// are shopper actions and feed every report; the others only keep the
+// average list size right: a guest's favorites moving to the customer they
+// logged in as ("merged-out" for the guest, "merged-in" for the favorites the
+// customer did not have yet) and guest favorites dropped after the guest TTL
+// ("expired").
+export const LIST_SIZE_CHANGES = {
+  added: 1,
+  removed: -1,
+  "merged-in": 1,
+  "merged-out": -1,
+  expired: -1,
+};
+
+async function saveEvents(shop, type, events) {
+  if (events.length === 0) return;
+  try {
+    await db.favoriteEvent.createMany({ data: events });
+  } catch (error) {
+    console.error(`[analytics] Could not record ${type} events for ${shop}:`, error);
+  }
+}
+
+// Every favorite added or removed, by customers and guests alike, for the
+// admin dashboard. Recording is best effort: a failure is logged and never
+// fails the shopper's request.
+export async function recordFavoriteEvents(context, type, entries, listId) {
+  const events = entries
+    .filter((entry) => entry.productId)
+    .map((entry) => ({
+      shop: context.shop,
+      customerId: context.customerId ?? null,
+      guestId: context.customerId ? null : context.guestId ?? null,
+      productId: entry.productId,
+      variantId: entry.variantId ?? null,
+      listId,
+      type,
+    }));
+  await saveEvents(context.shop, type, events);
+}
+
+// Expired guest favorites, which can span shops.
+export async function recordExpiredGuestFavorites(rows) {
+  const events = rows.map((row) => ({
+    shop: row.shop,
+    customerId: null,
+    guestId: row.guestId,
+    productId: row.productId,
+    variantId: row.variantId || null,
+    listId: DEFAULT_LIST_ID,
+    type: "expired",
+  }));
+  await saveEvents("all shops", "expired", events);
+}
@@ -0,0 +1,133 @@
+import db from "../db.server";
+import { LIST_SIZE_CHANGES } from "./events.server";
+import { getProductDetails } from "../favorites/products.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_RANGE_DAYS = 30;
+export const MAX_RANGE_DAYS = 366;
+const TOP_PRODUCTS = 10;
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value ?? "")) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// `?from=YYYY-MM-DD&to=YYYY-MM-DD`, both inclusive and in UTC. Missing or
+// invalid values fall back to the last DEFAULT_RANGE_DAYS days; ranges are
+// capped at MAX_RANGE_DAYS.
+export function parseDateRange(searchParams) {
+  const today = parseDay(toDateString(new Date()));
+  let to = parseDay(searchParams.get("to")) ?? today;
+  let from = parseDay(searchParams.get("from")) ?? new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (from > to) [from, to] = [to, from];
+  if ((to - from) / DAY_MS >= MAX_RANGE_DAYS) {
+    from = new Date(to.getTime() - (MAX_RANGE_DAYS - 1) * DAY_MS);
+  }
+
+  return {
+    from,
+    // End of the `to` day.
+    until: new Date(to.getTime() + DAY_MS - 1),
+    fromDate: toDateString(from),
+    toDate: toDateString(to),
+  };
+}
+
+function shopperKey(row) {
+  return row.customerId ?? `guest:${row.guestId}`;
+}
+
+async function getDailyCounts(shop, { from, until }) {
+  const events = await db.favoriteEvent.findMany({
+    where: { shop, createdAt: { gte: from, lte: until } },
+    select: { type: true, createdAt: true },
+  });
+
+  const days = new Map();
+  for (let time = from.getTime(); time <= until.getTime(); time += DAY_MS) {
+    days.set(toDateString(new Date(time)), { added: 0, removed: 0 });
+  }
+  for (const event of events) {
+    const day = days.get(toDateString(event.createdAt));
+    if (day && event.type in day) day[event.type]++;
+  }
+
+  return [...days].map(([date, counts]) => ({ date, ...counts }));
+}
+
+async function getTopProducts(shop, { from, until }) {
+  const rows = await db.favoriteEvent.groupBy({
+    by: ["productId"],
+    where: { shop, type: "added", createdAt: { gte: from, lte: until } },
+    _count: { productId: true },
+    orderBy: { _count: { productId: "desc" } },
+    take: TOP_PRODUCTS,
+  });
+  const details = await getProductDetails(shop, rows.map((row) => row.productId));
+
+  return rows.map((row) => ({
+    productId: row.productId,
+    title: details.get(row.productId)?.title ?? null,
+    count: row._count.productId,
+  }));
+}
+
+async function getActiveWishlisters(shop, { from, until }) {
+  const rows = await db.favoriteEvent.groupBy({
+    by: ["customerId", "guestId"],
+    where: { shop, type: { in: ["added", "removed"] }, createdAt: { gte: from, lte: until } },
+  });
+  return {
+    customers: rows.filter((row) => row.customerId).length,
+    guests: rows.filter((row) => !row.customerId).length,
+  };
+}
+
+// Favorites held per shopper at the end of the range, replayed from every
+// event up to then, including guest favorites merged on login or expired.
+// Shoppers whose lists were empty at that point are not counted. Favorites
+// saved before events were recorded, or imported, are not included.
+async function getAverageListSize(shop, { until }) {
+  const rows = await db.favoriteEvent.groupBy({
+    by: ["customerId", "guestId", "type"],
+    where: { shop, createdAt: { lte: until } },
+    _count: { _all: true },
+  });
+
+  const sizes = new Map();
+  for (const row of rows) {
+    const change = (LIST_SIZE_CHANGES[row.type] ?? 0) * row._count._all;
+    sizes.set(shopperKey(row), (sizes.get(shopperKey(row)) ?? 0) + change);
+  }
+  const nonEmpty = [...sizes.values()].filter((size) => size > 0);
+  if (nonEmpty.length === 0) return 0;
+
+  const total = nonEmpty.reduce((sum, size) => sum + size, 0);
+  return Math.round((total / nonEmpty.length) * 10) / 10;
+}
+
+export async function getDashboard(shop, range) {
+  const [daily, topProducts, activeWishlisters, averageListSize] = await Promise.all([
+    getDailyCounts(shop, range),
+    getTopProducts(shop, range),
+    getActiveWishlisters(shop, range),
+    getAverageListSize(shop, range),
+  ]);
+
+  return {
+    totals: {
+      added: daily.reduce((sum, day) => sum + day.added, 0),
+      removed: daily.reduce((sum, day) => sum + day.removed, 0),
+    },
+    daily,
+    topProducts,
+    activeWishlisters,
+    averageListSize,
+  };
+}
@@ -0,0 +1,250 @@
+import db from "./db.server";
+import {
+  ProtectedCustomerDataError,
+  ShopNotInstalledError,
+} from "./admin-graphql.server";
+import { STORAGE_BACKENDS } from "./favorites/storage.server";
+
+// Shopify's mandatory privacy webhooks, plus customer deletes and merges,
+// which also erase or move a customer's data. Each delivery is recorded in
+// ComplianceRequest under its webhook id, which makes redeliveries no-ops and
+// keeps a log of what was exported, erased or merged. Failures are recorded
+// and rethrown, so Shopify retries the delivery.
+
+// Tables with rows about a single customer, erased on customers/redact.
+// Favorites themselves are erased through the storage backends.
+const CUSTOMER_TABLES = [
+  "shareLink",
+  "favoriteIndex",
+  "alertOptOut",
+  "notification",
+  "favoriteEvent",
+  "favoriteAuditLog",
+];
+
+// The app may have been uninstalled, or may have lost protected customer data
+// access, since favorites were saved to metafields. Those are reported rather
+// than retried forever.
+function isUnavailable(error) {
+  return (
+    error instanceof ShopNotInstalledError ||
+    error instanceof ProtectedCustomerDataError
+  );
+}
+
+export async function handleComplianceWebhook(
+  { webhookId, shop, topic, customerId = null },
+  handler,
+) {
+  const existing = await db.complianceRequest.findUnique({
+    where: { webhookId },
+  });
+  if (existing?.status === "completed") {
+    console.log(
+      `[compliance] ${topic} ${webhookId} for ${shop} already handled`,
+    );
+    return;
+  }
+
+  await db.complianceRequest.upsert({
+    where: { webhookId },
+    create: { webhookId, shop, topic, customerId },
+    update: { status: "processing", error: null },
+  });
+
+  try {
+    const result = await handler();
+    await db.complianceRequest.update({
+      where: { webhookId },
+      data: {
+        status: "completed",
+        result: JSON.stringify(result),
+        completedAt: new Date(),
+      },
+    });
+    console.log(
+      `[compliance] ${topic} for ${shop}${customerId ? ` (${customerId})` : ""} completed`,
+    );
+  } catch (error) {
+    console.error(
+      `[compliance] ${topic} ${webhookId} for ${shop} failed:`,
+      error,
+    );
+    await db.complianceRequest.update({
+      where: { webhookId },
+      data: { status: "failed", error: error.message || String(error) },
+    });
+    throw error;
+  }
+}
+
+// Everything stored about the customer, as one JSON-serializable object.
+export async function exportCustomerData(shop, customerId) {
+  const context = { shop, customerId };
+  const favorites = {};
+
+  for (const storage of STORAGE_BACKENDS) {
+    try {
+      const { document } = await storage.read(context);
+      favorites[storage.name] = document;
+    } catch (error) {
+      if (error instanceof Response && error.status === 404) continue;
+      if (!isUnavailable(error)) throw error;
+      favorites[storage.name] = { unavailable: error.message };
+    }
+  }
+
+  const [events, shareLinks, alertOptOut, notifications] = await Promise.all([
+    db.favoriteEvent.findMany({
+      where: context,
+      select: {
+        productId: true,
+        variantId: true,
+        listId: true,
+        type: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+    db.shareLink.findMany({
+      where: context,
+      select: {
+        listId: true,
+        viewCount: true,
+        lastViewedAt: true,
+        revokedAt: true,
+        createdAt: true,
+      },
+    }),
+    db.alertOptOut.findUnique({ where: { shop_customerId: context } }),
+    db.notification.findMany({
+      where: context,
+      select: {
+        productId: true,
+        variantId: true,
+        kind: true,
+        status: true,
+        createdAt: true,
+        sentAt: true,
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+  ]);
+
+  return {
+    customerId,
+    exportedAt: new Date().toISOString(),
+    favorites,
+    events,
+    shareLinks,
+    alerts: { optedOut: Boolean(alertOptOut), notifications },
+  };
+}
+
+// Erases the customer's favorites in every storage backend and every other
+// row about them, including earlier data request exports. Returns what was
+// erased where.
+export async function eraseCustomerData(shop, customerId) {
+  const context = { shop, customerId };
+  const favorites = {};
+
+  for (const storage of STORAGE_BACKENDS) {
+    try {
+      favorites[storage.name] = (await storage.erase(context))
+        ? "erased"
+        : "none";
+    } catch (error) {
+      if (!isUnavailable(error)) throw error;
+      favorites[storage.name] = `unavailable: ${error.message}`;
+    }
+  }
+
+  const counts = await db.$transaction([
+    ...CUSTOMER_TABLES.map((table) => db[table].deleteMany({ where: context })),
+    // Stored responses to the customer's storefront writes.
+    db.idempotencyRecord.deleteMany({ where: { shop, owner: customerId } }),
+    // Nothing left for a scheduled erasure to do.
+    db.customerErasure.deleteMany({ where: context }),
+    db.complianceRequest.updateMany({
+      where: { ...context, result: { not: null } },
+      data: { result: null },
+    }),
+  ]);
+
+  return {
+    favorites,
+    rows: Object.fromEntries(
+      CUSTOMER_TABLES.map((table, i) => [table, counts[i].count]),
+    ),
+  };
+}
+
+// customers/delete also arrives for the customer merged away by a merge, and
+// Shopify does not guarantee it comes after customers/merge, which still needs
+// that customer's favorites. So deleted customers are erased only after
+// ERASE_DELAY_HOURS. customers/redact, a privacy request, erases at once.
+export const ERASE_DELAY_HOURS = 24;
+
+// Keeps an earlier schedule if the delete is delivered again.
+export async function scheduleCustomerErasure(shop, customerId) {
+  const erasure = await db.customerErasure.upsert({
+    where: { shop_customerId: { shop, customerId } },
+    create: {
+      shop,
+      customerId,
+      scheduledFor: new Date(Date.now() + ERASE_DELAY_HOURS * 60 * 60 * 1000),
+    },
+    update: {},
+  });
+  return { scheduledFor: erasure.scheduledFor.toISOString() };
+}
+
+// Erases deleted customers whose delay is over. Runs from the periodic sweep
+// in app/maintenance.server.js; eraseCustomerData removes the schedule.
+export async function runDueErasures() {
+  const due = await db.customerErasure.findMany({
+    where: { scheduledFor: { lte: new Date() } },
+  });
+
+  for (const { shop, customerId } of due) {
+    try {
+      const { rows } = await eraseCustomerData(shop, customerId);
+      console.log(`[compliance] Erased deleted customer ${customerId} on ${shop}:`, rows);
+    } catch (error) {
+      console.error(`[compliance] Could not erase ${customerId} on ${shop}:`, error);
+    }
+  }
+}
+
+// How webhook topics are stored, e.g. "customers/data_request".
+export const DATA_REQUEST_TOPIC = "CUSTOMERS_DATA_REQUEST";
+
+// The shop's customer data requests, newest first, for the merchant to pass
+// the exports on. Exports erased by a later redact show up without a result.
+export async function listDataRequests(shop) {
+  const requests = await db.complianceRequest.findMany({
+    where: { shop, topic: DATA_REQUEST_TOPIC },
+    select: {
+      webhookId: true,
+      customerId: true,
+      status: true,
+      error: true,
+      createdAt: true,
+      completedAt: true,
+      result: true,
+    },
+    orderBy: { createdAt: "desc" },
+  });
+  return requests.map(({ result, ...request }) => ({
+    ...request,
+    hasExport: result !== null,
+  }));
+}
+
+// The stored export for one data request, or null.
+export async function getDataRequestExport(shop, webhookId) {
+  const request = await db.complianceRequest.findFirst({
+    where: { shop, webhookId, topic: DATA_REQUEST_TOPIC, result: { not: null } },
+  });
+  return request?.result ?? null;
+}
@@ -0,0 +1,83 @@
+// Minimal RFC 4180 CSV: comma separated, fields quoted when they contain a
+// comma, quote or line break, quotes doubled inside quoted fields.
+
+// Spreadsheets run cells starting with these as formulas. Exported values
+// include text shoppers wrote themselves, so such cells get a leading quote,
+// which parseCsv drops again so exported files import unchanged.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsvRow(values) {
+  return `${values.map(formatField).join(",")}\r\n`;
+}
+
+// Returns the rows as arrays of strings. Throws on an unterminated quote.
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Parses a CSV with a header row into `{ headers, records }`, where each
+// record maps the (trimmed, lower-cased) headers to values and carries its
+// `row` number, counting the header as row 1, for error reports. Blank rows
+// are skipped.
+export function parseCsv(text) {
+  const [headerRow = [], ...rows] = parseRows(text.replace(/^﻿/, ""));
+  const headers = headerRow.map((header) => header.trim().toLowerCase());
+
+  const records = [];
+  rows.forEach((values, index) => {
+    if (values.every((value) => value.trim() === "")) return;
+    const record = { row: index + 2 };
+    headers.forEach((header, column) => {
+      const value = (values[column] ?? "").trim();
+      record[header] = /^'/.test(value) && FORMULA_PREFIX.test(value.slice(1))
+        ? value.slice(1)
+        : value;
+    });
+    records.push(record);
+  });
+
+  return { headers, records };
+}
@@ -0,0 +1,9 @@
+// Saves a blob fetched by an admin page as a file.
+export function download(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
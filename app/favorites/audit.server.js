@@ -0,0 +1,42 @@
+import db from "../db.server";
+
+// Staff changes to a customer's favorites made from the admin. The staff
+// member comes from the online session; `action` is "add", "remove" or
+// "clear", with one row per affected favorite. Changes that did nothing are
+// not recorded.
+function staffMember(session) {
+  const user = session.onlineAccessInfo?.associated_user;
+  if (!user) return { staffUserId: null, staffName: "Unknown staff member", staffEmail: null };
+
+  return {
+    staffUserId: String(user.id),
+    staffName: [user.first_name, user.last_name].filter(Boolean).join(" ") || user.email,
+    staffEmail: user.email ?? null,
+  };
+}
+
+export async function recordStaffChange(session, customerId, action, { listId, entries }) {
+  if (entries.length === 0) return;
+  const staff = staffMember(session);
+
+  await db.favoriteAuditLog.createMany({
+    data: entries.map((entry) => ({
+      shop: session.shop,
+      customerId,
+      ...staff,
+      action,
+      listId,
+      productId: entry.productId,
+      variantId: entry.variantId ?? null,
+    })),
+  });
+  console.log(`[audit] ${staff.staffName} ${action} ${entries.length} favorites for ${customerId} on ${session.shop}`);
+}
+
+export function getAuditLog(shop, customerId, { take = 25 } = {}) {
+  return db.favoriteAuditLog.findMany({
+    where: { shop, customerId },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
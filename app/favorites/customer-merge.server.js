@@ -0,0 +1,107 @@
+import db from "../db.server";
+import { isAlertOptedOut, setAlertOptOut } from "../alerts/alerts.server";
+import { getShopSettings } from "../settings.server";
+import {
+  DEFAULT_LIST_ID,
+  DEFAULT_LIST_NAME,
+  createList,
+  uniqueListHandle,
+} from "./document.server";
+import { createEntry, sameFavorite } from "./entries.server";
+import { getDocument, updateDocument } from "./favorites.server";
+import { getStorage } from "./storage.server";
+
+// When a merchant merges two customers, Shopify keeps one record and deletes
+// the other. The deleted customer's lists are folded into the kept customer's
+// and everything else the app stored about them moves over or is dropped.
+// Running a merge twice is harmless: the second run finds nothing left to move.
+
+// Customer metafields are gone once Shopify deletes the customer, so for the
+// metafields backend only the favorite index is left: products, without
+// lists, variants or notes.
+async function readMergedAwayDocument(shop, customerId) {
+  try {
+    return await getDocument({ shop, customerId });
+  } catch (error) {
+    if (!(error instanceof Response && error.status === 404)) throw error;
+  }
+
+  const rows = await db.favoriteIndex.findMany({ where: { shop, customerId } });
+  return {
+    lists: [
+      createList({
+        id: DEFAULT_LIST_ID,
+        handle: DEFAULT_LIST_ID,
+        name: DEFAULT_LIST_NAME,
+        createdAt: null,
+        items: rows.map((row) => createEntry({ productId: row.productId })),
+      }),
+    ],
+  };
+}
+
+// Lists are matched by id, then by name, then by handle. Unmatched lists are
+// added, keeping their handle when it is free, while the customer has room,
+// and otherwise poured into the default list.
+function unionLists(target, source, maxLists) {
+  const lists = target.lists.map((list) => ({ ...list, items: [...list.items] }));
+  let added = 0;
+
+  for (const sourceList of source.lists) {
+    if (sourceList.items.length === 0) continue;
+
+    let list =
+      lists.find((candidate) => candidate.id === sourceList.id) ??
+      lists.find((candidate) => candidate.name.toLowerCase() === sourceList.name.toLowerCase()) ??
+      lists.find((candidate) => candidate.handle === sourceList.handle);
+    if (!list && lists.length < maxLists) {
+      list = createList({
+        handle: uniqueListHandle(lists, sourceList.handle ?? sourceList.name),
+        name: sourceList.name,
+        createdAt: sourceList.createdAt,
+      });
+      lists.push(list);
+    }
+    list ??= lists.find((candidate) => candidate.id === DEFAULT_LIST_ID);
+
+    for (const entry of sourceList.items) {
+      if (list.items.some((item) => sameFavorite(item, entry))) continue;
+      list.items.push(entry);
+      added++;
+    }
+  }
+
+  return { lists, added };
+}
+
+export async function mergeCustomerFavorites(shop, keptId, deletedId) {
+  const source = await readMergedAwayDocument(shop, deletedId);
+  const { maxLists } = await getShopSettings(shop);
+
+  const { added } = await updateDocument({ shop, customerId: keptId }, (document) => {
+    const { lists, added } = unionLists(document, source, maxLists);
+    return { added, document: added > 0 ? { ...document, lists } : null };
+  });
+
+  if (await isAlertOptedOut({ shop, customerId: deletedId })) {
+    await setAlertOptOut({ shop, customerId: keptId }, true);
+  }
+
+  const merged = { shop, customerId: deletedId };
+  await (await getStorage(shop)).erase(merged);
+  await db.$transaction([
+    // History follows the customer; list ids may no longer match.
+    db.favoriteEvent.updateMany({ where: merged, data: { customerId: keptId } }),
+    db.favoriteAuditLog.updateMany({ where: merged, data: { customerId: keptId } }),
+    db.shareLink.updateMany({
+      where: { ...merged, revokedAt: null },
+      data: { revokedAt: new Date() },
+    }),
+    db.favoriteIndex.deleteMany({ where: merged }),
+    db.alertOptOut.deleteMany({ where: merged }),
+    db.notification.deleteMany({ where: { ...merged, status: "pending" } }),
+  ]);
+
+  console.log(`[favorites] Merged ${deletedId} into ${keptId} on ${shop}: ${added} favorites added`);
+  return { added };
+}
@@ -0,0 +1,94 @@
+import { adminGraphql, fetchNodesInChunks } from "../admin-graphql.server";
+
+const SEARCH_LIMIT = 25;
+// Emails looked up per customers search; each search returns up to 250.
+const EMAILS_PER_SEARCH = 50;
+
+const SEARCH_CUSTOMERS_QUERY = `#graphql
+  query searchCustomers($query: String!, $first: Int!) {
+    customers(first: $first, query: $query, sortKey: RELEVANCE) {
+      nodes {
+        id
+        displayName
+        email
+      }
+    }
+  }
+`;
+
+const CUSTOMER_QUERY = `#graphql
+  query customer($id: ID!) {
+    customer(id: $id) {
+      id
+      displayName
+      email
+    }
+  }
+`;
+
+const CUSTOMERS_BY_ID_QUERY = `#graphql
+  query customersById($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Customer {
+        id
+        email
+      }
+    }
+  }
+`;
+
+const CUSTOMERS_BY_EMAIL_QUERY = `#graphql
+  query customersByEmail($query: String!) {
+    customers(first: 250, query: $query) {
+      nodes {
+        id
+        email
+      }
+    }
+  }
+`;
+
+// Matches names and email addresses, like the search on the admin's
+// Customers page.
+export async function searchCustomers(shop, term) {
+  const data = await adminGraphql(shop, SEARCH_CUSTOMERS_QUERY, {
+    variables: { query: term, first: SEARCH_LIMIT },
+  });
+  return data.customers.nodes;
+}
+
+export async function getCustomer(shop, customerId) {
+  const data = await adminGraphql(shop, CUSTOMER_QUERY, {
+    variables: { id: customerId },
+  });
+  return data.customer;
+}
+
+// Customer GID -> { id, email } for the customers that exist.
+export async function getCustomersById(shop, customerIds) {
+  const customers = await fetchNodesInChunks(shop, CUSTOMERS_BY_ID_QUERY, customerIds);
+  return new Map(customers.map((customer) => [customer.id, customer]));
+}
+
+// Lowercased email -> { id, email } for the emails that belong to a customer,
+// searched EMAILS_PER_SEARCH at a time.
+export async function findCustomersByEmail(shop, emails) {
+  const found = new Map();
+  const wanted = [...new Set(emails.map((email) => email.toLowerCase()))];
+
+  for (let start = 0; start < wanted.length; start += EMAILS_PER_SEARCH) {
+    const chunk = wanted.slice(start, start + EMAILS_PER_SEARCH);
+    const data = await adminGraphql(shop, CUSTOMERS_BY_EMAIL_QUERY, {
+      variables: {
+        query: chunk.map((email) => `email:"${email.replace(/["\\]/g, "")}"`).join(" OR "),
+      },
+    });
+    // The search is not strictly exact, so only take exact matches.
+    for (const customer of data.customers.nodes) {
+      const email = customer.email?.toLowerCase();
+      if (email && chunk.includes(email)) found.set(email, customer);
+    }
+  }
+
+  return found;
+}
@@ -0,0 +1,172 @@
+import { randomUUID } from "node:crypto";
+import { ENTRY_SCHEMA, parseEntries, parseLegacyEntries } from "./entries.server";
+
+// Every customer has a default list. It is what the storefront gets when it
+// does not name a list, and it holds everything saved before named lists.
+export const DEFAULT_LIST_ID = "default";
+export const DEFAULT_LIST_NAME = "Favorites";
+export const MAX_LIST_NAME_LENGTH = 100;
+
+// List ids are random per customer, so storefront code addresses lists by
+// handle instead: a slug of the name given when the list was created, unique
+// among the customer's lists and kept when the list is renamed. Every
+// customer's default list has the handle "default", like its id.
+export const MAX_LIST_HANDLE_LENGTH = 64;
+export const LIST_HANDLE_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const LIST_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// JSON schema for the `favorite_entries` metafield:
+//   { "lists": [{ "id", "handle", "name", "createdAt", "items": [entry, ...] }] }
+export const FAVORITES_SCHEMA = {
+  type: "object",
+  required: ["lists"],
+  additionalProperties: false,
+  properties: {
+    lists: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "name", "items"],
+        additionalProperties: false,
+        properties: {
+          id: { type: "string", maxLength: 64 },
+          handle: { type: "string", maxLength: MAX_LIST_HANDLE_LENGTH },
+          name: { type: "string", maxLength: MAX_LIST_NAME_LENGTH },
+          createdAt: { type: ["string", "null"] },
+          items: { type: "array", items: ENTRY_SCHEMA },
+        },
+      },
+    },
+  },
+};
+
+export function toListHandle(name) {
+  const slug = String(name ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, MAX_LIST_HANDLE_LENGTH)
+    .replace(/^-+|-+$/g, "");
+  return slug || "list";
+}
+
+// Whether `value` reads as a list handle rather than a list id.
+export function isListHandle(value) {
+  return (
+    typeof value === "string" &&
+    value.length <= MAX_LIST_HANDLE_LENGTH &&
+    LIST_HANDLE_PATTERN.test(value) &&
+    !LIST_ID_PATTERN.test(value)
+  );
+}
+
+// "gift-ideas" -> "Gift ideas", for lists created from a handle alone.
+export function listNameFromHandle(handle) {
+  const words = handle.replace(/-/g, " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// The handle for a new list named `name`, numbered when the plain slug is
+// taken by one of `lists`.
+export function uniqueListHandle(lists, name) {
+  const taken = new Set(lists.map((list) => list.handle));
+  const base = toListHandle(name);
+  let handle = base;
+  for (let n = 2; taken.has(handle); n++) {
+    const suffix = `-${n}`;
+    handle = `${base.slice(0, MAX_LIST_HANDLE_LENGTH - suffix.length)}${suffix}`;
+  }
+  return handle;
+}
+
+export function createList({ id = randomUUID(), handle, name, createdAt, items = [] }) {
+  return {
+    id,
+    handle,
+    name,
+    createdAt: createdAt === undefined ? new Date().toISOString() : createdAt,
+    items,
+  };
+}
+
+// Lists saved before handles existed, or with a handle that is invalid or
+// taken, get one from their name.
+function withHandles(lists) {
+  const kept = new Set([DEFAULT_LIST_ID]);
+  const result = lists.map((list) => {
+    if (list.id === DEFAULT_LIST_ID) return { ...list, handle: DEFAULT_LIST_ID };
+    const valid = LIST_HANDLE_PATTERN.test(list.handle ?? "") && !kept.has(list.handle);
+    if (valid) kept.add(list.handle);
+    return { ...list, handle: valid ? list.handle : null };
+  });
+  for (const list of result) {
+    if (!list.handle) list.handle = uniqueListHandle(result, list.name);
+  }
+  return result;
+}
+
+function withDefaultList(lists) {
+  if (lists.some((list) => list.id === DEFAULT_LIST_ID)) return withHandles(lists);
+  return withHandles([
+    createList({ id: DEFAULT_LIST_ID, name: DEFAULT_LIST_NAME, createdAt: null }),
+    ...lists,
+  ]);
+}
+
+export function emptyDocument() {
+  return { lists: withDefaultList([]) };
+}
+
+// Accepts the current document and the first JSON format, which was a bare
+// array of entries; that array becomes the default list.
+export function parseDocument(value) {
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (e) {
+    console.error("[favorites] Ignoring unreadable favorites value:", e);
+    return emptyDocument();
+  }
+
+  if (Array.isArray(parsed)) {
+    return {
+      lists: withDefaultList([]).map((list) => ({ ...list, items: parseEntries(parsed) })),
+    };
+  }
+
+  const lists = Array.isArray(parsed?.lists)
+    ? parsed.lists
+        .filter((list) => list && typeof list.id === "string")
+        .map((list) =>
+          createList({
+            id: list.id,
+            handle: typeof list.handle === "string" ? list.handle : undefined,
+            name: String(list.name ?? DEFAULT_LIST_NAME),
+            createdAt: list.createdAt ?? null,
+            items: parseEntries(list.items),
+          }),
+        )
+    : [];
+  return { lists: withDefaultList(lists) };
+}
+
+export function parseLegacyDocument(value) {
+  return {
+    lists: withDefaultList([]).map((list) => ({ ...list, items: parseLegacyEntries(value) })),
+  };
+}
+
+export function serializeDocument(document) {
+  return JSON.stringify({ lists: document.lists });
+}
+
+// Finds a list by id or by handle.
+export function findList(document, listId = DEFAULT_LIST_ID) {
+  return (
+    document.lists.find((list) => list.id === listId) ??
+    document.lists.find((list) => list.handle === listId) ??
+    null
+  );
+}
@@ -0,0 +1,93 @@
+import { isProductGid } from "./products.server";
+
+// Where on the storefront a favorite was added from.
+export const FAVORITE_SOURCES = ["pdp", "collection", "quick-view"];
+// Favorites staff add from the admin.
+export const ADMIN_SOURCE = "admin";
+// Every source the app itself writes, which an import has to accept back.
+export const ALL_SOURCES = [...FAVORITE_SOURCES, ADMIN_SOURCE];
+export const MAX_NOTE_LENGTH = 500;
+
+// JSON schema for one favorite. `productId` is only null for legacy handles
+// that never matched a product; those keep their `handle` so they are not lost.
+export const ENTRY_SCHEMA = {
+  type: "object",
+  required: ["productId", "addedAt"],
+  additionalProperties: false,
+  properties: {
+    productId: { type: ["string", "null"] },
+    variantId: { type: ["string", "null"] },
+    handle: { type: "string" },
+    addedAt: { type: ["string", "null"] },
+    note: { type: ["string", "null"], maxLength: MAX_NOTE_LENGTH },
+    source: { type: ["string", "null"], maxLength: 32 },
+  },
+};
+
+export function normalizeHandle(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim().replace(/^["']|["']$/g, "");
+}
+
+export function createEntry({
+  productId,
+  variantId = null,
+  handle,
+  addedAt,
+  note = null,
+  source = null,
+}) {
+  const entry = {
+    productId: productId ?? null,
+    variantId: variantId ?? null,
+    addedAt: addedAt === undefined ? new Date().toISOString() : addedAt,
+    note: note ?? null,
+    source: source ?? null,
+  };
+  if (!entry.productId && handle) entry.handle = handle;
+  return entry;
+}
+
+export function parseEntries(items) {
+  return Array.isArray(items)
+    ? items.filter((item) => item && (item.productId || item.handle)).map(createEntry)
+    : [];
+}
+
+// The multi_line_text_field format this app used before `favorite_entries`:
+// one "<product GID>" or "<product GID>|<variant GID>" per line, or a bare
+// product handle from before favorites were keyed by GID. Nothing else was
+// recorded, so `addedAt` is unknown.
+export function parseLegacyEntries(value) {
+  if (!value) return [];
+  return value
+    .split("\n")
+    .map(normalizeHandle)
+    .filter(Boolean)
+    .map((line) => {
+      if (!isProductGid(line)) {
+        return createEntry({ productId: null, handle: line, addedAt: null });
+      }
+      const [productId, variantId] = line.split("|");
+      return createEntry({ productId, variantId, addedAt: null });
+    });
+}
+
+export function sameFavorite(a, b) {
+  return a.productId === b.productId && (a.variantId ?? null) === (b.variantId ?? null);
+}
+
+// Returns an error message for storefront-supplied `note`/`source`, or null.
+// Imports pass ALL_SOURCES so exported staff favorites can come back in.
+export function validateEntryInput({ note, source }, { sources = FAVORITE_SOURCES } = {}) {
+  if (note !== undefined && note !== null) {
+    if (typeof note !== "string") return "note must be a string";
+    if (note.length > MAX_NOTE_LENGTH) {
+      return `note must be at most ${MAX_NOTE_LENGTH} characters`;
+    }
+  }
+  if (source !== undefined && source !== null && !sources.includes(source)) {
+    return `source must be one of: ${sources.join(", ")}`;
+  }
+  return null;
+}
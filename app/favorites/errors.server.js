@@ -0,0 +1,9 @@
+// Another request changed the customer's favorites between our read and our
+// write, and it kept happening until we ran out of retries.
+export class FavoritesConflictError extends Error {
+  constructor(attempts) {
+    super(`Favorites were changed concurrently; gave up after ${attempts} attempts`);
+    this.name = "FavoritesConflictError";
+    this.attempts = attempts;
+  }
+}
@@ -0,0 +1,36 @@
+import db from "../db.server";
+
+// A copy of "which customer has which product favorited", kept next to the
+// stored documents so webhooks can find the customers to alert without
+// reading every customer's favorites. Rewritten for a customer after each
+// successful write; lists last written before the index existed are added the
+// next time they change or the favorites migration runs.
+export async function syncFavoriteIndex({ shop, customerId }, document) {
+  const productIds = [
+    ...new Set(
+      document.lists
+        .flatMap((list) => list.items)
+        .map((entry) => entry.productId)
+        .filter(Boolean),
+    ),
+  ];
+
+  await db.$transaction([
+    db.favoriteIndex.deleteMany({ where: { shop, customerId } }),
+    db.favoriteIndex.createMany({
+      data: productIds.map((productId) => ({ shop, customerId, productId })),
+    }),
+  ]);
+}
+
+export async function findCustomersWithFavorite(shop, productId) {
+  const rows = await db.favoriteIndex.findMany({
+    where: { shop, productId },
+    select: { customerId: true },
+  });
+  return rows.map((row) => row.customerId);
+}
+
+export async function isProductFavorited(shop, productId) {
+  return (await db.favoriteIndex.count({ where: { shop, productId } })) > 0;
+}
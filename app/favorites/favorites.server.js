@@ -0,0 +1,321 @@
+import { recordFavoriteEvents } from "../analytics/events.server";
+import { getShopSettings } from "../settings.server";
+import {
+  DEFAULT_LIST_ID,
+  createList,
+  findList,
+  isListHandle,
+  listNameFromHandle,
+} from "./document.server";
+import { createEntry, normalizeHandle, sameFavorite } from "./entries.server";
+import { FavoritesConflictError } from "./errors.server";
+import { syncFavoriteIndex } from "./favorite-index.server";
+import { errorResponse } from "./http.server";
+import {
+  lookupProductHandles,
+  resolveProductHandles,
+  toProductGid,
+  toVariantGid,
+} from "./products.server";
+import { getStorage } from "./storage.server";
+
+const MAX_WRITE_ATTEMPTS = 3;
+
+export { normalizeHandle };
+
+// Reads the customer's document from the shop's storage backend. The result
+// also carries whatever the backend needs to write it back (`legacy` is true
+// when it came from the pre-JSON format).
+async function readDocument(context) {
+  const storage = await getStorage(context.shop);
+  return { storage, ...(await storage.read(context)) };
+}
+
+// Turns `{ productId?, productHandle?, variantId?, note?, source? }` from a
+// request into a favorite entry. `productId` is null when the product cannot
+// be found; the handle is kept so a legacy, unresolvable entry can still be
+// removed.
+export async function resolveFavoriteInput(
+  shop,
+  { productId, productHandle, variantId, note, source, addedAt },
+) {
+  const handle = normalizeHandle(productHandle) || null;
+  let id = toProductGid(productId);
+
+  if (!id && handle) {
+    const resolved = await resolveProductHandles(shop, [handle]);
+    id = resolved.get(handle) ?? null;
+  }
+
+  return {
+    ...createEntry({
+      productId: id,
+      variantId: toVariantGid(variantId),
+      addedAt,
+      note,
+      source,
+    }),
+    handle,
+  };
+}
+
+// Replaces handle-only entries with their product GID where the handle still
+// resolves. Unresolvable handles are kept as they are.
+async function upgradeLegacyEntries(shop, document) {
+  const legacy = document.lists
+    .flatMap((list) => list.items)
+    .filter((entry) => !entry.productId)
+    .map((entry) => entry.handle);
+  if (legacy.length === 0) return { document, resolvedHandles: false, unresolved: [] };
+
+  const resolved = await resolveProductHandles(shop, legacy);
+  const lists = document.lists.map((list) => {
+    const items = [];
+    for (const entry of list.items) {
+      const productId = entry.productId ?? resolved.get(entry.handle);
+      const next = productId ? createEntry({ ...entry, productId }) : entry;
+      if (!items.some((existing) => existing.productId && sameFavorite(existing, next))) {
+        items.push(next);
+      }
+    }
+    return { ...list, items };
+  });
+
+  return {
+    document: { ...document, lists },
+    resolvedHandles: resolved.size > 0,
+    unresolved: [...new Set(legacy.filter((handle) => !resolved.has(handle)))],
+  };
+}
+
+// Attaches the current handle to every entry for API responses.
+export async function withHandles(shop, favorites) {
+  const handles = await lookupProductHandles(
+    shop,
+    favorites.filter((entry) => entry.productId).map((entry) => entry.productId),
+  );
+  return favorites.map((entry) => ({
+    ...createEntry(entry),
+    handle: entry.productId ? handles.get(entry.productId) ?? null : entry.handle,
+  }));
+}
+
+// Read-modify-write of the whole document with retries. `change` receives the
+// current document and returns `{ document, ...result }`, or
+// `{ document: null, ...result }` when nothing needs to be written. It may
+// throw an error response (e.g. unknown list), which aborts the update.
+export async function updateDocument(context, change) {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const stored = await readDocument(context);
+    const { document, resolvedHandles, unresolved } = await upgradeLegacyEntries(
+      context.shop,
+      stored.document,
+    );
+    const result = change(document, {
+      upgraded: stored.legacy || resolvedHandles,
+      unresolved,
+    });
+
+    if (!result.document) {
+      return { ...result, document };
+    }
+    if (await stored.storage.write(context, stored, result.document)) {
+      await syncFavoriteIndex(context, result.document);
+      return result;
+    }
+
+    console.log(
+      `[favorites] Write conflict for ${context.customerId}, retrying (attempt ${attempt}/${MAX_WRITE_ATTEMPTS})`,
+    );
+  }
+
+  throw new FavoritesConflictError(MAX_WRITE_ATTEMPTS);
+}
+
+// Throws when saving would take a shopper past the shop's `maxFavorites`, which
+// counts entries across all of their lists.
+export function assertFavoritesLimit(total, maxFavorites) {
+  if (total > maxFavorites) {
+    throw errorResponse(`You can keep at most ${maxFavorites} favorites`, 422, {
+      code: "FAVORITES_LIMIT_REACHED",
+      maxFavorites,
+    });
+  }
+}
+
+export function assertListsLimit(total, maxLists) {
+  if (total > maxLists) {
+    throw errorResponse(`You can keep at most ${maxLists} lists`, 422, {
+      code: "LIST_LIMIT_REACHED",
+      maxLists,
+    });
+  }
+}
+
+export function countFavorites(document) {
+  return document.lists.reduce((total, list) => total + list.items.length, 0);
+}
+
+export function requireList(document, listId = DEFAULT_LIST_ID) {
+  const list = findList(document, listId);
+  if (!list) {
+    throw errorResponse("List not found", 404, { listId });
+  }
+  return list;
+}
+
+// Storefront blocks name lists by handle, and not every customer has the list
+// yet. Adding to a handle they do not have creates the list (when `maxLists`
+// is given, so within the limit); the list is only saved once something is in
+// it.
+function findOrCreateList(document, listId, maxLists) {
+  const list = findList(document, listId);
+  if (list || maxLists === undefined || !isListHandle(listId)) {
+    return { list: requireList(document, listId), created: false };
+  }
+  assertListsLimit(document.lists.length + 1, maxLists);
+  return {
+    list: createList({ handle: listId, name: listNameFromHandle(listId) }),
+    created: true,
+  };
+}
+
+// Item-level update of one list. `change` receives the list's entries (and the
+// whole document with the update info) and returns `{ favorites, ...result }`
+// like `updateDocument`. The entries handed
+// back to the caller carry their current handle.
+async function updateFavorites(context, { listId, maxLists }, change) {
+  const result = await updateDocument(context, (document, info) => {
+    const { list, created } = findOrCreateList(document, listId, maxLists);
+    const { favorites, ...rest } = change(list.items, { ...info, document });
+    if (!favorites) return { ...rest, listId: list.id, document: null, favorites: list.items };
+
+    const lists = created ? [...document.lists, list] : document.lists;
+    return {
+      ...rest,
+      listId: list.id,
+      favorites,
+      document: {
+        ...document,
+        lists: lists.map((other) =>
+          other.id === list.id ? { ...other, items: favorites } : other,
+        ),
+      },
+    };
+  });
+
+  const { document, ...rest } = result;
+  return {
+    ...rest,
+    favorites: await withHandles(context.shop, result.favorites),
+  };
+}
+
+// A handle the customer has no list for reads as an empty list (see
+// findOrCreateList).
+export async function getFavorites(context, listId) {
+  const { document } = await readDocument(context);
+  if (!findList(document, listId) && isListHandle(listId)) return [];
+  const list = requireList(document, listId);
+  return withHandles(context.shop, list.items);
+}
+
+export async function getDocument(context) {
+  const { document } = await readDocument(context);
+  return document;
+}
+
+export async function addFavorites(context, entries, { listId } = {}) {
+  const { maxFavorites, maxLists } = await getShopSettings(context.shop);
+  const result = await updateFavorites(context, { listId, maxLists }, (favorites, { document }) => {
+    const added = entries
+      .filter(
+        (entry, index) =>
+          !favorites.some((existing) => sameFavorite(existing, entry)) &&
+          entries.findIndex((other) => sameFavorite(other, entry)) === index,
+      )
+      .map(createEntry);
+    if (added.length > 0) {
+      assertFavoritesLimit(countFavorites(document) + added.length, maxFavorites);
+    }
+    return {
+      favorites: added.length > 0 ? [...favorites, ...added] : null,
+      added,
+    };
+  });
+  await recordFavoriteEvents(context, "added", result.added, result.listId);
+  return result;
+}
+
+export function matchesFavorite(existing, entry) {
+  if (!existing.productId) return Boolean(entry.handle) && existing.handle === entry.handle;
+  return entry.variantId
+    ? sameFavorite(existing, entry)
+    : existing.productId === entry.productId;
+}
+
+// Without a variant, every entry for the product is removed. Legacy entries
+// that never resolved to a product are matched by handle.
+export async function removeFavorites(context, entries, { listId } = {}) {
+  const matches = (existing) => entries.some((entry) => matchesFavorite(existing, entry));
+
+  const result = await updateFavorites(context, { listId }, (favorites) => {
+    const removed = favorites.filter(matches);
+    return {
+      favorites:
+        removed.length > 0
+          ? favorites.filter((existing) => !matches(existing))
+          : null,
+      removed,
+    };
+  });
+  await recordFavoriteEvents(context, "removed", result.removed, result.listId);
+  return result;
+}
+
+export async function toggleFavorite(context, entry, { listId } = {}) {
+  const { maxFavorites, maxLists } = await getShopSettings(context.shop);
+  const result = await updateFavorites(context, { listId, maxLists }, (favorites, { document }) => {
+    const favorited = !favorites.some((existing) => sameFavorite(existing, entry));
+    if (favorited) assertFavoritesLimit(countFavorites(document) + 1, maxFavorites);
+    return {
+      favorites: favorited
+        ? [...favorites, createEntry(entry)]
+        : favorites.filter((existing) => !sameFavorite(existing, entry)),
+      favorited,
+    };
+  });
+  await recordFavoriteEvents(
+    context,
+    result.favorited ? "added" : "removed",
+    [entry],
+    result.listId,
+  );
+  return result;
+}
+
+// Empties one list. Used by staff from the admin; the storefront removes items
+// one at a time.
+export async function clearFavorites(context, { listId } = {}) {
+  const result = await updateFavorites(context, { listId }, (favorites) => ({
+    favorites: favorites.length > 0 ? [] : null,
+    removed: favorites,
+  }));
+  await recordFavoriteEvents(context, "removed", result.removed, result.listId);
+  return result;
+}
+
+// Rewrites a customer's legacy list as `favorite_entries`, resolving handles
+// to GIDs on the way. Used by the one-time migration; regular writes upgrade
+// lists as a side effect.
+export async function upgradeFavorites(context) {
+  const { upgraded, unresolved } = await updateDocument(
+    context,
+    (document, { upgraded, unresolved }) => ({
+      document: upgraded ? document : null,
+      upgraded,
+      unresolved,
+    }),
+  );
+  return { upgraded, unresolved };
+}
@@ -0,0 +1,242 @@
+import { createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+import db from "../db.server";
+import {
+  recordExpiredGuestFavorites,
+  recordFavoriteEvents,
+} from "../analytics/events.server";
+import { getShopSettings } from "../settings.server";
+import { DEFAULT_LIST_ID } from "./document.server";
+import { createEntry, sameFavorite } from "./entries.server";
+import {
+  assertFavoritesLimit,
+  countFavorites,
+  matchesFavorite,
+  requireList,
+  updateDocument,
+  withHandles,
+} from "./favorites.server";
+
+// Logged-out shoppers are identified by a guest token the storefront keeps in
+// localStorage: "<guest id>.<HMAC of shop and guest id>". The signature ties
+// the token to one shop and stops anyone from guessing another guest's id.
+// Guests only have the default list.
+
+function sign(shop, guestId) {
+  return createHmac("sha256", process.env.SHOPIFY_API_SECRET || "")
+    .update(`${shop}:${guestId}`)
+    .digest("base64url");
+}
+
+export function issueGuestToken(shop) {
+  const guestId = randomUUID();
+  return { guestId, guestToken: `${guestId}.${sign(shop, guestId)}` };
+}
+
+// Returns the guest id, or null for a missing, malformed or forged token.
+export function verifyGuestToken(shop, token) {
+  if (typeof token !== "string") return null;
+  const [guestId, signature] = token.split(".");
+  if (!guestId || !signature) return null;
+
+  const expected = Buffer.from(sign(shop, guestId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return guestId;
+}
+
+function toEntry(row) {
+  return createEntry({
+    productId: row.productId,
+    variantId: row.variantId || null,
+    addedAt: row.addedAt.toISOString(),
+    note: row.note,
+    source: row.source,
+  });
+}
+
+async function expiresAt(shop) {
+  const { guestTtlDays } = await getShopSettings(shop);
+  return new Date(Date.now() + guestTtlDays * 24 * 60 * 60 * 1000);
+}
+
+// Run from the maintenance sweep, for every shop at once.
+export async function purgeExpiredGuestFavorites() {
+  const where = { expiresAt: { lt: new Date() } };
+  const expired = await db.guestFavorite.findMany({
+    where,
+    select: { shop: true, guestId: true, productId: true, variantId: true },
+  });
+  if (expired.length === 0) return { count: 0 };
+
+  await recordExpiredGuestFavorites(expired);
+  return db.guestFavorite.deleteMany({ where });
+}
+
+async function readGuestEntries({ shop, guestId }) {
+  if (!guestId) return [];
+  const rows = await db.guestFavorite.findMany({
+    where: { shop, guestId, expiresAt: { gte: new Date() } },
+    orderBy: { addedAt: "asc" },
+  });
+  return rows.map(toEntry);
+}
+
+// Any write keeps the whole guest list alive for another TTL period.
+async function touchGuest({ shop, guestId }) {
+  await db.guestFavorite.updateMany({
+    where: { shop, guestId },
+    data: { expiresAt: await expiresAt(shop) },
+  });
+}
+
+async function guestResult(context, result) {
+  const favorites = await readGuestEntries(context);
+  return {
+    ...result,
+    listId: DEFAULT_LIST_ID,
+    favorites: await withHandles(context.shop, favorites),
+  };
+}
+
+// Same signatures and results as the customer functions in favorites.server.js,
+// so routes can pick one set or the other.
+export async function getFavorites(context) {
+  return withHandles(context.shop, await readGuestEntries(context));
+}
+
+// Rows are unique per product and variant, so a concurrent add of the same
+// favorite (a double click) inserts it once and only that one reports it.
+export async function addFavorites(context, entries) {
+  const existing = await readGuestEntries(context);
+  const candidates = entries
+    .filter(
+      (entry, index) =>
+        !existing.some((other) => sameFavorite(other, entry)) &&
+        entries.findIndex((other) => sameFavorite(other, entry)) === index,
+    )
+    .map(createEntry);
+  const added = [];
+
+  if (candidates.length > 0) {
+    const { maxFavorites } = await getShopSettings(context.shop);
+    assertFavoritesLimit(existing.length + candidates.length, maxFavorites);
+    const expires = await expiresAt(context.shop);
+    for (const entry of candidates) {
+      try {
+        await db.guestFavorite.create({
+          data: {
+            shop: context.shop,
+            guestId: context.guestId,
+            productId: entry.productId,
+            variantId: entry.variantId ?? "",
+            note: entry.note,
+            source: entry.source,
+            addedAt: new Date(entry.addedAt),
+            expiresAt: expires,
+          },
+        });
+        added.push(entry);
+      } catch (error) {
+        if (error.code !== "P2002") throw error;
+      }
+    }
+    await touchGuest(context);
+  }
+  await recordFavoriteEvents(context, "added", added, DEFAULT_LIST_ID);
+
+  return guestResult(context, { added });
+}
+
+export async function removeFavorites(context, entries) {
+  const existing = await readGuestEntries(context);
+  const removed = existing.filter((item) =>
+    entries.some((entry) => matchesFavorite(item, entry)),
+  );
+
+  for (const entry of removed) {
+    await db.guestFavorite.deleteMany({
+      where: {
+        shop: context.shop,
+        guestId: context.guestId,
+        productId: entry.productId,
+        variantId: entry.variantId ?? "",
+      },
+    });
+  }
+  if (removed.length > 0) await touchGuest(context);
+  await recordFavoriteEvents(context, "removed", removed, DEFAULT_LIST_ID);
+
+  return guestResult(context, { removed });
+}
+
+export async function toggleFavorite(context, entry) {
+  const existing = await readGuestEntries(context);
+  if (existing.some((item) => sameFavorite(item, entry))) {
+    const { favorites } = await removeFavorites(context, [entry]);
+    return { favorites, favorited: false, listId: DEFAULT_LIST_ID };
+  }
+  const { favorites } = await addFavorites(context, [entry]);
+  return { favorites, favorited: true, listId: DEFAULT_LIST_ID };
+}
+
+// Moves a guest's favorites into the customer's default list once they log
+// in. Duplicates are collapsed to the earliest addedAt; the guest records are
+// deleted afterwards. Favorites that would take the customer past the shop's
+// `maxFavorites` are dropped, newest first, rather than failing the login.
+// Returns how many guest favorites were merged.
+export async function mergeGuestFavorites(context) {
+  const guestEntries = await readGuestEntries(context);
+  let mergedIn = [];
+  let dropped = 0;
+
+  if (guestEntries.length > 0) {
+    const { maxFavorites } = await getShopSettings(context.shop);
+    await updateDocument(context, (document) => {
+      const list = requireList(document, DEFAULT_LIST_ID);
+      const items = list.items.map((item) => {
+        const guest = guestEntries.find((entry) => sameFavorite(entry, item));
+        if (!guest || !guest.addedAt) return item;
+        if (item.addedAt && item.addedAt <= guest.addedAt) return item;
+        return { ...item, addedAt: guest.addedAt };
+      });
+      mergedIn = [];
+      dropped = 0;
+      let room = maxFavorites - countFavorites(document);
+      for (const entry of guestEntries) {
+        if (items.some((item) => sameFavorite(item, entry))) continue;
+        if (room <= 0) {
+          dropped++;
+          continue;
+        }
+        items.push(entry);
+        mergedIn.push(entry);
+        room--;
+      }
+
+      return {
+        document: {
+          ...document,
+          lists: document.lists.map((other) =>
+            other.id === list.id ? { ...other, items } : other,
+          ),
+        },
+      };
+    });
+  }
+
+  // Expired rows are left to purgeExpiredGuestFavorites, which records them.
+  await db.guestFavorite.deleteMany({
+    where: { shop: context.shop, guestId: context.guestId, expiresAt: { gte: new Date() } },
+  });
+  const guest = { ...context, customerId: null };
+  await recordFavoriteEvents(guest, "merged-out", guestEntries, DEFAULT_LIST_ID);
+  await recordFavoriteEvents(context, "merged-in", mergedIn, DEFAULT_LIST_ID);
+  console.log(
+    `[favorites] Merged ${guestEntries.length - dropped} guest favorites into ${context.customerId}` +
+      (dropped > 0 ? ` (${dropped} over the favorites limit were dropped)` : ""),
+  );
+
+  return guestEntries.length - dropped;
+}
@@ -0,0 +1,75 @@
+import { json } from "@remix-run/node";
+import {
+  AdminGraphqlError,
+  ProtectedCustomerDataError,
+  ShopNotInstalledError,
+  ThrottledError,
+  UserErrorsError,
+} from "../admin-graphql.server";
+import { FavoritesConflictError } from "./errors.server";
+
+// Every favorites endpoint answers with the same envelope:
+//   { success: true, favorites: [...], count, ...extra }
+//   { success: false, error: "message", ...extra }
+export function favoritesResponse(favorites, extra = {}, init) {
+  return json(
+    { success: true, favorites, count: favorites.length, ...extra },
+    init,
+  );
+}
+
+export function errorResponse(error, status = 400, extra = {}) {
+  return json({ success: false, error, ...extra }, { status });
+}
+
+export async function readJsonBody(request) {
+  try {
+    return await request.json();
+  } catch (e) {
+    throw errorResponse("Invalid request body. Expected JSON.", 400);
+  }
+}
+
+// Thrown responses (auth failures, validation errors) are returned as they are,
+// Admin API errors are mapped to a status, anything else is logged as a 500.
+export function handleError(tag, error) {
+  if (error instanceof Response) return error;
+
+  if (error instanceof ProtectedCustomerDataError) {
+    return errorResponse(error.message, 403, {
+      message: "This app needs to be approved for protected customer data access to manage customer metafields. Please apply for this access in your Shopify Partner Dashboard.",
+      documentation: "https://shopify.dev/docs/apps/launch/protected-customer-data",
+      shopifyError: error.errors[0],
+    });
+  }
+  if (error instanceof ShopNotInstalledError) {
+    return errorResponse(error.message, 401);
+  }
+  if (error instanceof UserErrorsError) {
+    return errorResponse(error.message, 400, { errors: error.userErrors });
+  }
+  if (error instanceof FavoritesConflictError) {
+    return errorResponse(error.message, 409, {
+      code: "CONFLICT",
+      attempts: error.attempts,
+    });
+  }
+  if (error instanceof ThrottledError) {
+    const response = errorResponse(error.message, 503);
+    response.headers.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+    return response;
+  }
+
+  console.error(`${tag} Error:`, error);
+  if (error instanceof AdminGraphqlError) {
+    return errorResponse(error.message, 502, { errors: error.errors });
+  }
+  return errorResponse(error.message || String(error), 500);
+}
+
+// Headers for the pre-/favorites routes that old themes still call.
+export function deprecatedAlias(response, successor) {
+  response.headers.set("Deprecation", "true");
+  response.headers.set("Link", `<${successor}>; rel="successor-version"`);
+  return response;
+}
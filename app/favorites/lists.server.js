@@ -0,0 +1,166 @@
+import { getShopSettings } from "../settings.server";
+import {
+  DEFAULT_LIST_ID,
+  LIST_HANDLE_PATTERN,
+  MAX_LIST_HANDLE_LENGTH,
+  MAX_LIST_NAME_LENGTH,
+  createList as buildList,
+  toListHandle,
+} from "./document.server";
+import { createEntry, sameFavorite } from "./entries.server";
+import {
+  assertListsLimit,
+  getDocument,
+  matchesFavorite,
+  requireList,
+  updateDocument,
+} from "./favorites.server";
+import { errorResponse } from "./http.server";
+import { revokeShareLink } from "./sharing.server";
+
+function summarize(document) {
+  return document.lists.map((list) => ({
+    id: list.id,
+    handle: list.handle,
+    name: list.name,
+    createdAt: list.createdAt,
+    count: list.items.length,
+    isDefault: list.id === DEFAULT_LIST_ID,
+  }));
+}
+
+function validateName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (!trimmed) {
+    throw errorResponse("List name is required", 400);
+  }
+  if (trimmed.length > MAX_LIST_NAME_LENGTH) {
+    throw errorResponse(`List name must be at most ${MAX_LIST_NAME_LENGTH} characters`, 400);
+  }
+  return trimmed;
+}
+
+// An explicit handle must be a slug; otherwise it comes from the name.
+function validateHandle(handle, name) {
+  if (handle === undefined || handle === null || handle === "") return toListHandle(name);
+  if (
+    typeof handle !== "string" ||
+    handle.length > MAX_LIST_HANDLE_LENGTH ||
+    !LIST_HANDLE_PATTERN.test(handle)
+  ) {
+    throw errorResponse(
+      `List handle must be at most ${MAX_LIST_HANDLE_LENGTH} lowercase letters, numbers and single hyphens`,
+      400,
+    );
+  }
+  return handle;
+}
+
+export async function getLists(context) {
+  return summarize(await getDocument(context));
+}
+
+export async function createList(context, name, handle) {
+  const listName = validateName(name);
+  const listHandle = validateHandle(handle, listName);
+  const { maxLists } = await getShopSettings(context.shop);
+
+  const { list, document } = await updateDocument(context, (document) => {
+    assertListsLimit(document.lists.length + 1, maxLists);
+    if (document.lists.some((list) => list.handle === listHandle)) {
+      throw errorResponse(`You already have a list with the handle ${listHandle}`, 409, {
+        code: "LIST_HANDLE_TAKEN",
+        handle: listHandle,
+      });
+    }
+    const list = buildList({ handle: listHandle, name: listName });
+    return { list, document: { ...document, lists: [...document.lists, list] } };
+  });
+
+  return { list: summarize({ lists: [list] })[0], lists: summarize(document) };
+}
+
+// The handle stays, so storefront code that targets the list keeps working.
+export async function renameList(context, listId, name) {
+  const listName = validateName(name);
+
+  const { document } = await updateDocument(context, (document) => {
+    const renamed = requireList(document, listId);
+    return {
+      document: {
+        ...document,
+        lists: document.lists.map((list) =>
+          list.id === renamed.id ? { ...list, name: listName } : list,
+        ),
+      },
+    };
+  });
+
+  return { lists: summarize(document) };
+}
+
+// The default list cannot be deleted; everything else goes with its items and
+// its share link.
+export async function deleteList(context, listId) {
+  const { deleted, document } = await updateDocument(context, (document) => {
+    const deleted = requireList(document, listId);
+    if (deleted.id === DEFAULT_LIST_ID) {
+      throw errorResponse("The default list cannot be deleted", 400);
+    }
+    return {
+      deleted,
+      document: {
+        ...document,
+        lists: document.lists.filter((list) => list.id !== deleted.id),
+      },
+    };
+  });
+  await revokeShareLink(context, deleted.id);
+
+  return { lists: summarize(document) };
+}
+
+// Moves matching entries from one list to another in a single write, keeping
+// their addedAt, note and source. Entries already on the target list are not
+// duplicated.
+export async function moveFavorite(context, entry, fromListId, toListId) {
+  if (fromListId === toListId) {
+    throw errorResponse("Source and target list are the same", 400);
+  }
+
+  const { moved, document } = await updateDocument(context, (document) => {
+    const from = requireList(document, fromListId);
+    const to = requireList(document, toListId);
+    if (from.id === to.id) {
+      throw errorResponse("Source and target list are the same", 400);
+    }
+    const moved = from.items.filter((existing) => matchesFavorite(existing, entry));
+
+    if (moved.length === 0) {
+      throw errorResponse("Product not found in list", 404, { listId: fromListId });
+    }
+
+    const toItems = [
+      ...to.items,
+      ...moved
+        .filter((item) => !to.items.some((existing) => sameFavorite(existing, item)))
+        .map(createEntry),
+    ];
+
+    return {
+      moved,
+      document: {
+        ...document,
+        lists: document.lists.map((list) => {
+          if (list.id === from.id) {
+            return { ...list, items: list.items.filter((item) => !moved.includes(item)) };
+          }
+          if (list.id === to.id) return { ...list, items: toItems };
+          return list;
+        }),
+      },
+    };
+  });
+
+  return { moved, lists: summarize(document) };
+}
@@ -0,0 +1,95 @@
+import { getJobs, hasRunningJob, resumeJob, startJob } from "../jobs.server";
+import { parseDocument } from "./document.server";
+import { syncFavoriteIndex } from "./favorite-index.server";
+import { upgradeFavorites } from "./favorites.server";
+import { getStorage } from "./storage.server";
+import { fetchFavoritesPage } from "./storage/metafields.server";
+
+// One-time conversion of legacy favorites (multi-line handles or GIDs) to the
+// `favorite_entries` JSON metafield keyed by product GID. Every customer is
+// visited, a page per job step; lists that still need it are rewritten and
+// handles that no longer match a product are reported back. Safe to run more
+// than once.
+export const MIGRATE_JOB = "migrate-handles";
+
+// Unresolved handles listed in the report; the count covers all of them.
+const MAX_REPORTED_HANDLES = 100;
+
+function emptyProgress() {
+  return {
+    customersScanned: 0,
+    customersUpdated: 0,
+    unresolvedCount: 0,
+    unresolvedHandles: [],
+  };
+}
+
+// Lists still in the multi-line format, or JSON lists holding handles that did
+// not resolve last time.
+function needsUpgrade(customer) {
+  if (customer.legacyMetafield) return true;
+  return Boolean(
+    customer.metafield &&
+      parseDocument(customer.metafield.value).lists.some((list) =>
+        list.items.some((entry) => !entry.productId),
+      ),
+  );
+}
+
+async function migrateStep({ shop, cursor, progress }) {
+  const report = { ...emptyProgress(), ...progress };
+
+  // Legacy lists only ever existed in metafields.
+  const storage = await getStorage(shop);
+  if (storage.name !== "metafields") {
+    console.log(`[migrate-favorites] ${shop}: favorites are stored in the ${storage.name} backend, nothing to migrate`);
+    return { cursor: null, progress: { ...report, skipped: true }, done: true };
+  }
+
+  const { customers, nextCursor } = await fetchFavoritesPage(shop, cursor);
+  for (const customer of customers) {
+    report.customersScanned++;
+
+    if (customer.metafield) {
+      await syncFavoriteIndex(
+        { shop, customerId: customer.id },
+        parseDocument(customer.metafield.value),
+      );
+    }
+    if (!needsUpgrade(customer)) continue;
+
+    const { upgraded, unresolved } = await upgradeFavorites({
+      shop,
+      customerId: customer.id,
+    });
+    if (upgraded) report.customersUpdated++;
+    for (const handle of unresolved) {
+      report.unresolvedCount++;
+      if (report.unresolvedHandles.length < MAX_REPORTED_HANDLES) {
+        report.unresolvedHandles.push({ customerId: customer.id, handle });
+      }
+    }
+  }
+
+  if (!nextCursor) {
+    console.log(
+      `[migrate-favorites] ${shop}: scanned ${report.customersScanned}, updated ${report.customersUpdated}, unresolved ${report.unresolvedCount}`,
+    );
+  }
+  return { cursor: nextCursor, progress: report, done: !nextCursor };
+}
+
+export function getMigrationJobs(shop) {
+  return getJobs(shop, MIGRATE_JOB);
+}
+
+// Returns null when a migration is already running for the shop.
+export async function startMigrationJob(shop) {
+  if (await hasRunningJob(shop, MIGRATE_JOB)) return null;
+  return startJob(shop, MIGRATE_JOB, {}, migrateStep);
+}
+
+export async function resumeMigrationJob(shop, id) {
+  if (await hasRunningJob(shop, MIGRATE_JOB)) return null;
+  return resumeJob(shop, MIGRATE_JOB, id, migrateStep);
+}
@@ -0,0 +1,190 @@
+import db from "../db.server";
+import { adminGraphql, fetchNodesInChunks } from "../admin-graphql.server";
+
+const PRODUCT_GID_PREFIX = "gid://shopify/Product/";
+const VARIANT_GID_PREFIX = "gid://shopify/ProductVariant/";
+// Handles per product search, ORed together; results are capped at 250.
+const HANDLES_PER_SEARCH = 50;
+// Product GIDs the Admin API did not return are not asked about again for
+// this long.
+const MISSING_PRODUCT_TTL_MS = 60 * 60 * 1000;
+
+const PRODUCTS_BY_HANDLE_QUERY = `#graphql
+  query productsByHandle($query: String!) {
+    products(first: 250, query: $query) {
+      nodes {
+        id
+        handle
+      }
+    }
+  }
+`;
+
+const PRODUCT_HANDLES_QUERY = `#graphql
+  query productHandles($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        handle
+      }
+    }
+  }
+`;
+
+const PRODUCT_DETAILS_QUERY = `#graphql
+  query productDetails($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        handle
+        title
+        status
+        featuredImage {
+          url
+          altText
+        }
+        priceRangeV2 {
+          minVariantPrice {
+            amount
+            currencyCode
+          }
+        }
+      }
+      ... on ProductVariant {
+        id
+        title
+        price
+        image {
+          url
+          altText
+        }
+      }
+    }
+  }
+`;
+
+function toGid(prefix, id) {
+  if (id === null || id === undefined || id === "") return null;
+  const value = String(id).trim();
+  if (value.startsWith(prefix)) return value;
+  return /^\d+$/.test(value) ? `${prefix}${value}` : null;
+}
+
+export function toProductGid(id) {
+  return toGid(PRODUCT_GID_PREFIX, id);
+}
+
+export function toVariantGid(id) {
+  return toGid(VARIANT_GID_PREFIX, id);
+}
+
+export function isProductGid(value) {
+  return typeof value === "string" && value.startsWith(PRODUCT_GID_PREFIX);
+}
+
+// Handle -> product GID. Cached handles are trusted because the products/update
+// webhook keeps them current; misses are looked up, a search per
+// HANDLES_PER_SEARCH handles, and cached.
+export async function resolveProductHandles(shop, handles) {
+  const resolved = new Map();
+  if (handles.length === 0) return resolved;
+
+  const cached = await db.productHandle.findMany({
+    where: { shop, handle: { in: handles } },
+  });
+  for (const row of cached) resolved.set(row.handle, row.productId);
+
+  const missing = [...new Set(handles.filter((handle) => !resolved.has(handle)))];
+  for (let start = 0; start < missing.length; start += HANDLES_PER_SEARCH) {
+    const chunk = missing.slice(start, start + HANDLES_PER_SEARCH);
+    const data = await adminGraphql(shop, PRODUCTS_BY_HANDLE_QUERY, {
+      variables: {
+        query: chunk.map((handle) => `handle:"${handle.replace(/["\\]/g, "")}"`).join(" OR "),
+      },
+    });
+    // The search is not strictly exact, so only take exact matches.
+    for (const product of data.products.nodes) {
+      if (!chunk.includes(product.handle)) continue;
+      await cacheProductHandle(shop, product.id, product.handle);
+      resolved.set(product.handle, product.id);
+    }
+  }
+
+  return resolved;
+}
+
+// Product GID -> current handle, for rendering favorites on the storefront.
+export async function lookupProductHandles(shop, productIds) {
+  const handles = new Map();
+  if (productIds.length === 0) return handles;
+
+  const cached = await db.productHandle.findMany({
+    where: { shop, productId: { in: productIds } },
+  });
+  for (const row of cached) handles.set(row.productId, row.handle);
+
+  const uncached = [...new Set(productIds.filter((id) => !handles.has(id)))];
+  if (uncached.length === 0) return handles;
+  const knownMissing = await db.missingProduct.findMany({
+    where: { shop, productId: { in: uncached }, expiresAt: { gt: new Date() } },
+    select: { productId: true },
+  });
+  const skip = new Set(knownMissing.map((row) => row.productId));
+  const missing = uncached.filter((id) => !skip.has(id));
+
+  const products = await fetchNodesInChunks(shop, PRODUCT_HANDLES_QUERY, missing);
+  for (const product of products) {
+    await cacheProductHandle(shop, product.id, product.handle);
+    handles.set(product.id, product.handle);
+  }
+  await rememberMissingProducts(shop, missing.filter((id) => !handles.has(id)));
+
+  return handles;
+}
+
+async function rememberMissingProducts(shop, productIds) {
+  if (productIds.length === 0) return;
+  const expiresAt = new Date(Date.now() + MISSING_PRODUCT_TTL_MS);
+  await db.$transaction([
+    db.missingProduct.deleteMany({ where: { shop, productId: { in: productIds } } }),
+    db.missingProduct.createMany({
+      data: productIds.map((productId) => ({ shop, productId, expiresAt })),
+    }),
+  ]);
+}
+
+// Run from the maintenance sweep.
+export function purgeExpiredMissingProducts() {
+  return db.missingProduct.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+}
+
+// Product and variant GIDs -> title, image and price, for pages that show
+// favorites to someone other than their owner. Deleted products are missing
+// from the map.
+export async function getProductDetails(shop, ids) {
+  const details = new Map();
+  if (ids.length === 0) return details;
+
+  const nodes = await fetchNodesInChunks(shop, PRODUCT_DETAILS_QUERY, ids);
+  for (const node of nodes) details.set(node.id, node);
+
+  return details;
+}
+
+function cacheProductHandle(shop, productId, handle) {
+  return db.productHandle.upsert({
+    where: { shop_productId: { shop, productId } },
+    create: { shop, productId, handle },
+    update: { handle },
+  });
+}
+
+// Called from the products/update webhook. Only products we have already
+// cached are touched; the rest are looked up when someone favorites them.
+export async function syncProductHandle(shop, productId, handle) {
+  const { count } = await db.productHandle.updateMany({
+    where: { shop, productId, NOT: { handle } },
+    data: { handle },
+  });
+  return count > 0;
+}
@@ -0,0 +1,171 @@
+import {
+  adminGraphql,
+  assertNoUserErrors,
+  fetchCustomersPage,
+} from "../admin-graphql.server";
+import { getJobs, hasRunningJob, resumeJob, startJob } from "../jobs.server";
+import { DEFAULT_LIST_ID } from "./document.server";
+import { createEntry, parseLegacyEntries, sameFavorite } from "./entries.server";
+import { getDocument, updateDocument } from "./favorites.server";
+import { resolveProductHandles } from "./products.server";
+import { LEGACY_FAVORITES_KEY } from "./storage/metafields.server";
+
+// Older snippets wrote favorites to the "favorites" namespace instead of
+// "favorite", so some customers have a second, multi-line list of handles
+// there. This job moves those entries into the customer's default list,
+// skipping ones already on any list, and then deletes the stray metafield.
+// A dry run reports what would change without writing anything.
+export const RECONCILE_JOB = "reconcile-namespaces";
+export const STRAY_FAVORITES_NAMESPACE = "favorites";
+
+// Unresolved handles listed in the report; the count covers all of them.
+const MAX_REPORTED_HANDLES = 100;
+
+const STRAY_FAVORITES_PAGE_QUERY = `#graphql
+  query strayFavoritesPage($first: Int!, $after: String, $namespace: String!, $key: String!) {
+    customers(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        metafield(namespace: $namespace, key: $key) {
+          id
+          value
+        }
+      }
+    }
+  }
+`;
+
+const DELETE_STRAY_FAVORITES_MUTATION = `#graphql
+  mutation deleteStrayFavorites($input: MetafieldDeleteInput!) {
+    metafieldDelete(input: $input) {
+      deletedId
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+function emptyProgress() {
+  return {
+    customersScanned: 0,
+    customersWithStray: 0,
+    customersMerged: 0,
+    entriesAdded: 0,
+    duplicates: 0,
+    unresolvedCount: 0,
+    unresolvedHandles: [],
+  };
+}
+
+// Splits stray entries into those to add and duplicates of entries already
+// on one of the customer's lists. Unresolved handles compare by handle.
+function planMerge(document, entries) {
+  const existing = document.lists.flatMap((list) => list.items);
+  const added = [];
+  let duplicates = 0;
+
+  for (const entry of entries) {
+    const isDuplicate = [...existing, ...added].some((item) =>
+      entry.productId
+        ? item.productId && sameFavorite(item, entry)
+        : !item.productId && item.handle === entry.handle,
+    );
+    if (isDuplicate) duplicates++;
+    else added.push(entry);
+  }
+
+  return { added, duplicates };
+}
+
+async function mergeCustomer(shop, customerId, entries) {
+  return updateDocument({ shop, customerId }, (document) => {
+    const { added, duplicates } = planMerge(document, entries);
+    if (added.length === 0) return { document: null, added, duplicates };
+
+    return {
+      added,
+      duplicates,
+      document: {
+        ...document,
+        lists: document.lists.map((list) =>
+          list.id === DEFAULT_LIST_ID ? { ...list, items: [...list.items, ...added] } : list,
+        ),
+      },
+    };
+  });
+}
+
+async function deleteStrayMetafield(shop, metafieldId) {
+  const data = await adminGraphql(shop, DELETE_STRAY_FAVORITES_MUTATION, {
+    variables: { input: { id: metafieldId } },
+  });
+  assertNoUserErrors(data.metafieldDelete, "Could not delete the old favorites metafield");
+}
+
+async function reconcileStep({ shop, options, cursor, progress }) {
+  const report = { ...emptyProgress(), ...progress };
+  const page = await fetchCustomersPage(shop, STRAY_FAVORITES_PAGE_QUERY, {
+    after: cursor,
+    variables: { namespace: STRAY_FAVORITES_NAMESPACE, key: LEGACY_FAVORITES_KEY },
+  });
+
+  const customers = page.customers.filter((customer) => customer.metafield);
+  report.customersScanned += page.customers.length;
+  report.customersWithStray += customers.length;
+
+  const strayEntries = new Map(
+    customers.map((customer) => [customer.id, parseLegacyEntries(customer.metafield.value)]),
+  );
+  const handles = [...strayEntries.values()]
+    .flat()
+    .filter((entry) => !entry.productId)
+    .map((entry) => entry.handle);
+  const resolved = await resolveProductHandles(shop, [...new Set(handles)]);
+
+  for (const customer of customers) {
+    const entries = strayEntries.get(customer.id).map((entry) => {
+      const productId = entry.productId ?? resolved.get(entry.handle);
+      return productId ? createEntry({ ...entry, productId }) : entry;
+    });
+    for (const entry of entries.filter((entry) => !entry.productId)) {
+      report.unresolvedCount++;
+      if (report.unresolvedHandles.length < MAX_REPORTED_HANDLES) {
+        report.unresolvedHandles.push({ customerId: customer.id, handle: entry.handle });
+      }
+    }
+
+    const { added, duplicates } = options.dryRun
+      ? planMerge(await getDocument({ shop, customerId: customer.id }), entries)
+      : await mergeCustomer(shop, customer.id, entries);
+    if (!options.dryRun) {
+      await deleteStrayMetafield(shop, customer.metafield.id);
+    }
+
+    report.entriesAdded += added.length;
+    report.duplicates += duplicates;
+    if (added.length > 0) report.customersMerged++;
+  }
+
+  return { cursor: page.nextCursor, progress: report, done: !page.nextCursor };
+}
+
+export function getReconcileJobs(shop) {
+  return getJobs(shop, RECONCILE_JOB);
+}
+
+// Returns null when a reconcile job is already running for the shop.
+export async function startReconcileJob(shop, { dryRun }) {
+  if (await hasRunningJob(shop, RECONCILE_JOB)) return null;
+  return startJob(shop, RECONCILE_JOB, { dryRun }, reconcileStep);
+}
+
+export async function resumeReconcileJob(shop, id) {
+  if (await hasRunningJob(shop, RECONCILE_JOB)) return null;
+  return resumeJob(shop, RECONCILE_JOB, id, reconcileStep);
+}
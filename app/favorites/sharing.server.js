@@ -0,0 +1,91 @@
+import { randomBytes } from "node:crypto";
+import db from "../db.server";
+import { DEFAULT_LIST_ID, findList } from "./document.server";
+import { getDocument, requireList } from "./favorites.server";
+
+// A share link gives read-only access to one list through
+// /apps/favorite/shared/<token>. Tokens are random, so they cannot be guessed
+// from the customer or list id. Each list has at most one active link;
+// regenerating revokes the old one.
+const SHARE_PATH = "/apps/favorite/shared";
+
+function generateToken() {
+  return randomBytes(24).toString("base64url");
+}
+
+function summarize(link) {
+  return {
+    token: link.token,
+    url: `https://${link.shop}${SHARE_PATH}/${link.token}`,
+    listId: link.listId,
+    createdAt: link.createdAt,
+    viewCount: link.viewCount,
+    lastViewedAt: link.lastViewedAt,
+  };
+}
+
+function findActiveLink({ shop, customerId }, listId) {
+  return db.shareLink.findFirst({
+    where: { shop, customerId, listId, revokedAt: null },
+  });
+}
+
+// Links are stored by list id; storefront calls may name the list by handle.
+// Lists that no longer exist keep the id they were given.
+export async function resolveListId(context, listId = DEFAULT_LIST_ID) {
+  return findList(await getDocument(context), listId)?.id ?? listId;
+}
+
+export async function getShareLink(context, listId = DEFAULT_LIST_ID) {
+  const link = await findActiveLink(context, await resolveListId(context, listId));
+  return link ? summarize(link) : null;
+}
+
+// Returns the list's active link, or a new one when there is none or
+// `regenerate` is set. `created` tells the two apart.
+export async function createShareLink(context, listIdOrHandle = DEFAULT_LIST_ID, { regenerate = false } = {}) {
+  const { id: listId } = requireList(await getDocument(context), listIdOrHandle);
+
+  const active = await findActiveLink(context, listId);
+  if (active && !regenerate) {
+    return { link: summarize(active), created: false };
+  }
+
+  await revokeShareLink(context, listId);
+  const link = await db.shareLink.create({
+    data: {
+      token: generateToken(),
+      shop: context.shop,
+      customerId: context.customerId,
+      listId,
+    },
+  });
+  return { link: summarize(link), created: true };
+}
+
+// Returns whether there was an active link to revoke.
+export async function revokeShareLink({ shop, customerId }, listId = DEFAULT_LIST_ID) {
+  const { count } = await db.shareLink.updateMany({
+    where: { shop, customerId, listId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return count > 0;
+}
+
+// Looks up a token for the public page and records the view. Returns null for
+// unknown or revoked tokens, and for lists that have since been deleted.
+export async function openShareLink(shop, token) {
+  const link = await db.shareLink.findUnique({ where: { token } });
+  if (!link || link.shop !== shop || link.revokedAt) return null;
+
+  const document = await getDocument({ shop, customerId: link.customerId });
+  const list = findList(document, link.listId);
+  if (!list) return null;
+
+  await db.shareLink.update({
+    where: { token },
+    data: { viewCount: { increment: 1 }, lastViewedAt: new Date() },
+  });
+
+  return { link: summarize(link), list };
+}
@@ -0,0 +1,24 @@
+import { getShopSettings } from "../settings.server";
+import { databaseStorage } from "./storage/database.server";
+import { metafieldsStorage } from "./storage/metafields.server";
+
+// Where a shop's favorites live, chosen in the app's settings. Every backend
+// has the same shape:
+//   name, label            id stored in ShopSettings.storageBackend, and UI text
+//   prepare(shop)          one-time setup, run when the admin opens the app
+//   read(context)          -> { document, legacy, ...whatever write needs }
+//   write(context, stored, document)
+//                          -> false if the document changed since `stored` was read
+//   erase(context)         deletes the customer's favorites -> whether there were any
+//   iterateCustomers(shop) async iterator of pages of { customerId, document },
+//                          for customers that have favorites
+export const STORAGE_BACKENDS = [metafieldsStorage, databaseStorage];
+
+export function findStorage(name) {
+  return STORAGE_BACKENDS.find((storage) => storage.name === name) ?? null;
+}
+
+export async function getStorage(shop) {
+  const { storageBackend } = await getShopSettings(shop);
+  return findStorage(storageBackend) ?? metafieldsStorage;
+}
@@ -0,0 +1,79 @@
+import db from "../../db.server";
+import { emptyDocument, parseDocument, serializeDocument } from "../document.server";
+
+// Favorites stored in this app's database, one row per customer. Works without
+// protected customer data approval, since no customer record is read or
+// written. `version` goes up on every write and plays the part of the
+// metafield's compareDigest.
+
+async function read({ shop, customerId }) {
+  const row = await db.customerFavorites.findUnique({
+    where: { shop_customerId: { shop, customerId } },
+  });
+
+  return {
+    version: row?.version ?? null,
+    legacy: false,
+    document: row ? parseDocument(row.document) : emptyDocument(),
+  };
+}
+
+// Returns false when another write got in first: the row was created since we
+// read it, or its version moved on.
+async function write({ shop, customerId }, { version }, document) {
+  const value = serializeDocument(document);
+
+  if (version === null) {
+    try {
+      await db.customerFavorites.create({
+        data: { shop, customerId, document: value, version: 1 },
+      });
+      return true;
+    } catch (error) {
+      if (error.code === "P2002") return false;
+      throw error;
+    }
+  }
+
+  const { count } = await db.customerFavorites.updateMany({
+    where: { shop, customerId, version },
+    data: { document: value, version: { increment: 1 } },
+  });
+  return count === 1;
+}
+
+async function erase({ shop, customerId }) {
+  const { count } = await db.customerFavorites.deleteMany({ where: { shop, customerId } });
+  return count > 0;
+}
+
+const CUSTOMERS_PAGE_SIZE = 100;
+
+async function* iterateCustomers(shop) {
+  let cursor = null;
+  while (true) {
+    const rows = await db.customerFavorites.findMany({
+      where: { shop },
+      orderBy: { customerId: "asc" },
+      take: CUSTOMERS_PAGE_SIZE,
+      ...(cursor ? { skip: 1, cursor: { shop_customerId: { shop, customerId: cursor } } } : {}),
+    });
+    if (rows.length === 0) return;
+
+    yield rows.map((row) => ({
+      customerId: row.customerId,
+      document: parseDocument(row.document),
+    }));
+    cursor = rows[rows.length - 1].customerId;
+  }
+}
+
+export const databaseStorage = {
+  name: "database",
+  label: "App database",
+  prepare: async () => {},
+  read,
+  write,
+  erase,
+  iterateCustomers,
+};
@@ -0,0 +1,333 @@
+import {
+  adminGraphql,
+  assertNoUserErrors,
+  fetchCustomersPage,
+} from "../../admin-graphql.server";
+import {
+  FAVORITES_SCHEMA,
+  emptyDocument,
+  parseDocument,
+  parseLegacyDocument,
+  serializeDocument,
+} from "../document.server";
+import { errorResponse } from "../http.server";
+import { getShopSettings } from "../../settings.server";
+
+// The default names of the favorites metafields. Older snippets and routes
+// disagreed between "favorite" and "favorites"; "favorite" is where the
+// metafield definition lives and where the storefront has been writing.
+// Shops can pick their own namespace and key in Settings.
+export const FAVORITES_NAMESPACE = "favorite";
+export const FAVORITES_KEY = "favorite_entries";
+export const FAVORITES_TYPE = "json";
+// Read, in the shop's namespace, until every customer has been migrated.
+export const LEGACY_FAVORITES_KEY = "favorite_products";
+
+// The namespace and key this shop's favorites are stored under.
+export async function getMetafieldTarget(shop) {
+  const { metafieldNamespace, metafieldKey } = await getShopSettings(shop);
+  return { namespace: metafieldNamespace, key: metafieldKey };
+}
+
+const GET_FAVORITES_QUERY = `#graphql
+  query getFavorites($customerId: ID!, $namespace: String!, $key: String!, $legacyKey: String!) {
+    customer(id: $customerId) {
+      id
+      metafield(namespace: $namespace, key: $key) {
+        id
+        value
+        compareDigest
+      }
+      legacyMetafield: metafield(namespace: $namespace, key: $legacyKey) {
+        id
+        value
+      }
+    }
+  }
+`;
+
+const CUSTOMER_FAVORITES_PAGE_QUERY = `#graphql
+  query customerFavoritesPage($first: Int!, $after: String, $namespace: String!, $key: String!, $legacyKey: String!) {
+    customers(first: $first, after: $after) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        id
+        metafield(namespace: $namespace, key: $key) {
+          value
+        }
+        legacyMetafield: metafield(namespace: $namespace, key: $legacyKey) {
+          value
+        }
+      }
+    }
+  }
+`;
+
+const SET_FAVORITES_MUTATION = `#graphql
+  mutation setFavorites($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        id
+        value
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+const DELETE_FAVORITES_MUTATION = `#graphql
+  mutation deleteFavorites($input: MetafieldDeleteInput!) {
+    metafieldDelete(input: $input) {
+      deletedId
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const FAVORITES_DEFINITION_QUERY = `#graphql
+  query getFavoritesDefinition($namespace: String!, $key: String!) {
+    metafieldDefinitions(namespace: $namespace, key: $key, ownerType: CUSTOMER, first: 1) {
+      nodes {
+        id
+        validations {
+          name
+          value
+        }
+      }
+    }
+  }
+`;
+
+const UPDATE_FAVORITES_DEFINITION_MUTATION = `#graphql
+  mutation updateFavoritesDefinition($definition: MetafieldDefinitionUpdateInput!) {
+    metafieldDefinitionUpdate(definition: $definition) {
+      updatedDefinition {
+        id
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+const CREATE_FAVORITES_DEFINITION_MUTATION = `#graphql
+  mutation createFavoritesDefinition($definition: MetafieldDefinitionInput!) {
+    metafieldDefinitionCreate(definition: $definition) {
+      createdDefinition {
+        id
+        name
+      }
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+export async function ensureFavoritesDefinition(shop) {
+  const target = await getMetafieldTarget(shop);
+  const data = await adminGraphql(shop, FAVORITES_DEFINITION_QUERY, {
+    variables: target,
+  });
+
+  const schema = JSON.stringify(FAVORITES_SCHEMA);
+  const [existing] = data.metafieldDefinitions.nodes;
+
+  if (existing) {
+    const current = existing.validations.find((v) => v.name === "schema")?.value;
+    if (current && JSON.stringify(JSON.parse(current)) === schema) {
+      return;
+    }
+
+    // The document format changed since the definition was created.
+    console.log("Updating customer metafield definition schema...");
+    const updated = await adminGraphql(shop, UPDATE_FAVORITES_DEFINITION_MUTATION, {
+      variables: {
+        definition: {
+          ...target,
+          ownerType: "CUSTOMER",
+          validations: [{ name: "schema", value: schema }],
+        },
+      },
+    });
+    assertNoUserErrors(
+      updated.metafieldDefinitionUpdate,
+      "Failed to update metafield definition",
+    );
+    return;
+  }
+
+  console.log("Creating customer metafield definition...");
+  const created = await adminGraphql(shop, CREATE_FAVORITES_DEFINITION_MUTATION, {
+    variables: {
+      definition: {
+        // Definition names are unique per owner type, and the definition for
+        // the default metafield may still be around.
+        name: target.namespace === FAVORITES_NAMESPACE && target.key === FAVORITES_KEY
+          ? "Favorite Products"
+          : `Favorite Products (${target.namespace}.${target.key})`,
+        ...target,
+        description: "The customer's wishlists and the products on them, with when, where and an optional note.",
+        type: FAVORITES_TYPE,
+        ownerType: "CUSTOMER",
+        validations: [{ name: "schema", value: schema }],
+      },
+    },
+  });
+  assertNoUserErrors(
+    created.metafieldDefinitionCreate,
+    "Failed to create metafield definition",
+  );
+  console.log("✅ Metafield definition created:", created.metafieldDefinitionCreate.createdDefinition);
+}
+
+// Reads the JSON favorites metafield, falling back to the legacy multi-line one
+// for customers whose list has not been rewritten yet.
+async function read({ shop, customerId }) {
+  const data = await adminGraphql(shop, GET_FAVORITES_QUERY, {
+    variables: {
+      customerId,
+      ...(await getMetafieldTarget(shop)),
+      legacyKey: LEGACY_FAVORITES_KEY,
+    },
+  });
+
+  if (!data?.customer) {
+    throw errorResponse("Customer not found", 404);
+  }
+
+  const { metafield, legacyMetafield } = data.customer;
+  if (metafield || !legacyMetafield) {
+    return {
+      metafield,
+      legacyMetafield,
+      legacy: false,
+      document: metafield ? parseDocument(metafield.value) : emptyDocument(),
+    };
+  }
+
+  return {
+    metafield: null,
+    legacyMetafield,
+    legacy: true,
+    document: parseLegacyDocument(legacyMetafield.value),
+  };
+}
+
+// Writes are compare-and-set: `compareDigest` is the digest of the value we
+// read (null when there was no metafield), and Shopify answers STALE_OBJECT if
+// someone else wrote in between. Returns false in that case.
+async function write({ shop, customerId }, { metafield, legacyMetafield }, document) {
+  const data = await adminGraphql(shop, SET_FAVORITES_MUTATION, {
+    variables: {
+      metafields: [
+        {
+          ownerId: customerId,
+          ...(await getMetafieldTarget(shop)),
+          type: FAVORITES_TYPE,
+          value: serializeDocument(document),
+          compareDigest: metafield?.compareDigest ?? null,
+        },
+      ],
+    },
+  });
+
+  const userErrors = data.metafieldsSet?.userErrors || [];
+  if (userErrors.some((error) => error.code === "STALE_OBJECT")) {
+    return false;
+  }
+  assertNoUserErrors(data.metafieldsSet, "Could not save favorites");
+
+  // The JSON metafield now holds everything the legacy one did.
+  if (legacyMetafield) {
+    try {
+      await adminGraphql(shop, DELETE_FAVORITES_MUTATION, {
+        variables: { input: { id: legacyMetafield.id } },
+      });
+    } catch (error) {
+      console.error(`[favorites] Could not delete legacy favorites for ${customerId}:`, error);
+    }
+  }
+
+  return true;
+}
+
+// Deletes both favorites metafields. Returns false when the customer had none
+// or no longer exists.
+async function erase(context) {
+  let stored;
+  try {
+    stored = await read(context);
+  } catch (error) {
+    if (error instanceof Response && error.status === 404) return false;
+    throw error;
+  }
+
+  const ids = [stored.metafield?.id, stored.legacyMetafield?.id].filter(Boolean);
+  for (const id of ids) {
+    const data = await adminGraphql(context.shop, DELETE_FAVORITES_MUTATION, {
+      variables: { input: { id } },
+    });
+    assertNoUserErrors(data.metafieldDelete, "Could not delete favorites");
+  }
+  return ids.length > 0;
+}
+
+// One page of customers with their raw favorites metafields, current and
+// legacy, either of which may be null. Resumable from `nextCursor`.
+export async function fetchFavoritesPage(shop, after) {
+  return fetchCustomersPage(shop, CUSTOMER_FAVORITES_PAGE_QUERY, {
+    after,
+    variables: { ...(await getMetafieldTarget(shop)), legacyKey: LEGACY_FAVORITES_KEY },
+  });
+}
+
+// Every customer with favorites, a page at a time. Customers cannot be
+// filtered by metafield, so all of them are listed and those without either
+// metafield are skipped.
+async function* iterateCustomers(shop) {
+  let after = null;
+  do {
+    const { customers, nextCursor } = await fetchFavoritesPage(shop, after);
+
+    const page = customers
+      .filter((customer) => customer.metafield || customer.legacyMetafield)
+      .map((customer) => ({
+        customerId: customer.id,
+        document: customer.metafield
+          ? parseDocument(customer.metafield.value)
+          : parseLegacyDocument(customer.legacyMetafield.value),
+      }));
+    if (page.length > 0) yield page;
+
+    after = nextCursor;
+  } while (after);
+}
+
+// Favorites stored on the customer record itself, so they stay with the shop's
+// data and are visible to other apps and Liquid. Needs protected customer data
+// approval.
+export const metafieldsStorage = {
+  name: "metafields",
+  label: "Shopify customer metafields",
+  prepare: ensureFavoritesDefinition,
+  read,
+  write,
+  erase,
+  iterateCustomers,
+};
@@ -0,0 +1,332 @@
+import { parseCsv, toCsvRow } from "../csv.server";
+import { toCustomerGid } from "../proxy.server";
+import { getShopSettings } from "../settings.server";
+import {
+  DEFAULT_LIST_ID,
+  MAX_LIST_NAME_LENGTH,
+  createList,
+  uniqueListHandle,
+} from "./document.server";
+import {
+  ALL_SOURCES,
+  createEntry,
+  sameFavorite,
+  validateEntryInput,
+} from "./entries.server";
+import { findCustomersByEmail, getCustomersById } from "./customers.server";
+import { countFavorites, updateDocument, withHandles } from "./favorites.server";
+import {
+  getProductDetails,
+  resolveProductHandles,
+  toProductGid,
+  toVariantGid,
+} from "./products.server";
+import { getStorage } from "./storage.server";
+
+// CSV export and import of every customer's favorites. Exported files can be
+// imported again as they are.
+export const CSV_COLUMNS = [
+  "customer_id",
+  "email",
+  "list_id",
+  "list_name",
+  "product_id",
+  "product_handle",
+  "variant_id",
+  "added_at",
+  "note",
+  "source",
+];
+export const MAX_IMPORT_ROWS = 10000;
+
+async function exportPage(shop, page) {
+  const customers = await getCustomersById(
+    shop,
+    page.map((customer) => customer.customerId),
+  );
+  let csv = "";
+
+  for (const { customerId, document } of page) {
+    for (const list of document.lists) {
+      for (const entry of await withHandles(shop, list.items)) {
+        csv += toCsvRow([
+          customerId,
+          customers.get(customerId)?.email ?? "",
+          list.id,
+          list.name,
+          entry.productId,
+          entry.handle,
+          entry.variantId,
+          entry.addedAt,
+          entry.note,
+          entry.source,
+        ]);
+      }
+    }
+  }
+
+  return csv;
+}
+
+// Streams the CSV a page of customers at a time, so large shops are never
+// held in memory at once.
+export async function exportFavoritesCsv(shop) {
+  const storage = await getStorage(shop);
+  const pages = storage.iterateCustomers(shop);
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(toCsvRow(CSV_COLUMNS)));
+    },
+    async pull(controller) {
+      try {
+        const { value: page, done } = await pages.next();
+        if (done) {
+          controller.close();
+          return;
+        }
+        controller.enqueue(encoder.encode(await exportPage(shop, page)));
+      } catch (error) {
+        console.error(`[favorites-export] Export failed for ${shop}:`, error);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await pages.return();
+    },
+  });
+}
+
+// Checks one row on its own. Returns `{ record, error }` or the row's parsed
+// values; customers and products are resolved afterwards, in bulk.
+function validateRecord(record) {
+  const reject = (error) => ({ record, error });
+
+  const customerId = record.customer_id ? toCustomerGid(record.customer_id) : null;
+  const email = record.email || null;
+  if (!customerId && !email) return reject("customer_id or email is required");
+  if (customerId && !/^gid:\/\/shopify\/Customer\/\d+$/.test(customerId)) {
+    return reject(`Invalid customer_id: ${record.customer_id}`);
+  }
+
+  const productId = record.product_id ? toProductGid(record.product_id) : null;
+  const handle = record.product_handle || null;
+  if (record.product_id && !productId) return reject(`Invalid product_id: ${record.product_id}`);
+  if (!productId && !handle) return reject("product_id or product_handle is required");
+
+  const variantId = record.variant_id ? toVariantGid(record.variant_id) : null;
+  if (record.variant_id && !variantId) return reject(`Invalid variant_id: ${record.variant_id}`);
+
+  let addedAt;
+  if (record.added_at) {
+    const date = new Date(record.added_at);
+    if (Number.isNaN(date.getTime())) return reject(`Invalid added_at: ${record.added_at}`);
+    addedAt = date.toISOString();
+  }
+
+  const listName = record.list_name || null;
+  if (listName && listName.length > MAX_LIST_NAME_LENGTH) {
+    return reject(`list_name must be at most ${MAX_LIST_NAME_LENGTH} characters`);
+  }
+
+  const note = record.note || null;
+  const source = record.source || null;
+  const invalid = validateEntryInput({ note, source }, { sources: ALL_SOURCES });
+  if (invalid) return reject(invalid);
+
+  return {
+    record,
+    customerId,
+    email,
+    productId,
+    handle,
+    variantId,
+    addedAt,
+    note,
+    source,
+    listId: record.list_id || null,
+    listName,
+  };
+}
+
+async function resolveCustomers(shop, rows) {
+  const existing = await getCustomersById(
+    shop,
+    rows.filter((row) => row.customerId).map((row) => row.customerId),
+  );
+  const byEmail = await findCustomersByEmail(
+    shop,
+    rows.filter((row) => !row.customerId).map((row) => row.email),
+  );
+
+  for (const row of rows) {
+    if (row.customerId) {
+      if (!existing.has(row.customerId)) row.error = `Customer not found: ${row.customerId}`;
+    } else {
+      row.customerId = byEmail.get(row.email.toLowerCase())?.id ?? null;
+      if (!row.customerId) row.error = `No customer with email ${row.email}`;
+    }
+  }
+}
+
+async function resolveProducts(shop, rows) {
+  const byHandle = await resolveProductHandles(
+    shop,
+    [...new Set(rows.filter((row) => !row.productId).map((row) => row.handle))],
+  );
+  const details = await getProductDetails(
+    shop,
+    rows.filter((row) => row.productId).map((row) => row.productId),
+  );
+
+  for (const row of rows) {
+    if (row.productId) {
+      if (!details.has(row.productId)) row.error = `Product not found: ${row.productId}`;
+    } else {
+      row.productId = byHandle.get(row.handle) ?? null;
+      if (!row.productId) row.error = `No product with handle ${row.handle}`;
+    }
+  }
+}
+
+// Finds the row's list by id, then by name, or creates it when a new name is
+// given. Rows without either go to the default list.
+function findOrCreateList(lists, row, maxLists) {
+  if (row.listId) {
+    const list = lists.find((candidate) => candidate.id === row.listId);
+    if (list || !row.listName) return list ?? null;
+  }
+  if (!row.listName) return lists.find((list) => list.id === DEFAULT_LIST_ID);
+
+  const name = row.listName.toLowerCase();
+  const existing = lists.find((list) => list.name.toLowerCase() === name);
+  if (existing) return existing;
+  if (lists.length >= maxLists) return null;
+
+  const list = createList({
+    handle: uniqueListHandle(lists, row.listName),
+    name: row.listName,
+    items: [],
+  });
+  lists.push(list);
+  return list;
+}
+
+// Adds one customer's rows to their lists in a single write. Entries already
+// on the list count as duplicates, and rows past the shop's favorites limit
+// are rejected. Imported favorites are not recorded as dashboard events.
+async function importCustomer(shop, customerId, rows, { maxLists, maxFavorites }) {
+  return updateDocument({ shop, customerId }, (document) => {
+    const lists = document.lists.map((list) => ({ ...list, items: [...list.items] }));
+    const outcome = { imported: 0, duplicates: 0, rejected: [] };
+    let total = countFavorites(document);
+
+    for (const row of rows) {
+      const list = findOrCreateList(lists, row, maxLists);
+      if (!list) {
+        outcome.rejected.push({
+          ...row,
+          error: row.listId && !row.listName
+            ? `List not found: ${row.listId}`
+            : `Customer already has the maximum of ${maxLists} lists`,
+        });
+        continue;
+      }
+
+      const entry = createEntry(row);
+      if (list.items.some((item) => sameFavorite(item, entry))) {
+        outcome.duplicates++;
+      } else if (total >= maxFavorites) {
+        outcome.rejected.push({
+          ...row,
+          error: `Customer already has the maximum of ${maxFavorites} favorites`,
+        });
+      } else {
+        list.items.push(entry);
+        total++;
+        outcome.imported++;
+      }
+    }
+
+    return { ...outcome, document: outcome.imported > 0 ? { ...document, lists } : null };
+  });
+}
+
+function buildErrorReport(headers, rejected) {
+  if (rejected.length === 0) return null;
+  return (
+    toCsvRow(["row", ...headers, "error"]) +
+    rejected
+      .sort((a, b) => a.record.row - b.record.row)
+      .map(({ record, error }) =>
+        toCsvRow([record.row, ...headers.map((header) => record[header]), error]),
+      )
+      .join("")
+  );
+}
+
+// Validates every row, resolves customers (by id or email) and products (by
+// id or handle), then merges each customer's rows into their lists. Returns
+// counts and, when rows were rejected, a CSV error report with the reason
+// for each.
+export async function importFavoritesCsv(shop, text) {
+  let parsed;
+  try {
+    parsed = parseCsv(text);
+  } catch (error) {
+    return { error: `Could not read the file: ${error.message}` };
+  }
+
+  const { headers, records } = parsed;
+  if (!headers.includes("customer_id") && !headers.includes("email")) {
+    return { error: "The file needs a customer_id or email column" };
+  }
+  if (!headers.includes("product_id") && !headers.includes("product_handle")) {
+    return { error: "The file needs a product_id or product_handle column" };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time` };
+  }
+
+  const checked = records.map(validateRecord);
+  const rejected = checked.filter((row) => row.error);
+  let rows = checked.filter((row) => !row.error);
+
+  await resolveCustomers(shop, rows);
+  await resolveProducts(shop, rows.filter((row) => !row.error));
+  rejected.push(...rows.filter((row) => row.error));
+  rows = rows.filter((row) => !row.error);
+
+  const byCustomer = new Map();
+  for (const row of rows) {
+    byCustomer.set(row.customerId, [...(byCustomer.get(row.customerId) ?? []), row]);
+  }
+  const limits = await getShopSettings(shop);
+  const report = { imported: 0, duplicates: 0, customersUpdated: 0 };
+
+  for (const [customerId, customerRows] of byCustomer) {
+    try {
+      const outcome = await importCustomer(shop, customerId, customerRows, limits);
+      report.imported += outcome.imported;
+      report.duplicates += outcome.duplicates;
+      if (outcome.imported > 0) report.customersUpdated++;
+      rejected.push(...outcome.rejected);
+    } catch (error) {
+      console.error(`[favorites-import] Could not import favorites for ${customerId}:`, error);
+      const message = error instanceof Response ? "Could not update this customer" : error.message;
+      rejected.push(...customerRows.map((row) => ({ ...row, error: message })));
+    }
+  }
+
+  console.log(
+    `[favorites-import] ${shop}: ${report.imported} imported, ${report.duplicates} duplicates, ${rejected.length} rejected`,
+  );
+
+  return {
+    ...report,
+    rows: records.length,
+    rejected: rejected.length,
+    errorReport: buildErrorReport(headers, rejected),
+  };
+}
@@ -0,0 +1,123 @@
+import { createHash } from "node:crypto";
+import db from "./db.server";
+import { errorResponse } from "./favorites/http.server";
+
+// Storefront writes may carry an idempotency key, in an `Idempotency-Key`
+// header or as `idempotencyKey` in the JSON body (the app proxy does not pass
+// custom headers through). The first response for a key is stored for
+// IDEMPOTENCY_WINDOW_HOURS and replayed for any retry with the same key, so a
+// double submit or a replay after a lost response runs only once. Keys are
+// scoped to the shop and shopper, or to the shop alone when there is no
+// shopper yet (`owner` null).
+export const IDEMPOTENCY_WINDOW_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+// A claim whose request has not finished by now is taken to be abandoned (the
+// process died, or storing the response failed) and the key can be used again.
+const IN_PROGRESS_LEASE_MS = 30 * 1000;
+
+// Fields that may differ between retries of the same request.
+const VOLATILE_FIELDS = ["guestToken", "idempotencyKey"];
+
+export function getIdempotencyKey(request, body) {
+  const key = request.headers.get("Idempotency-Key") ?? body?.idempotencyKey;
+  return typeof key === "string" && key.trim() ? key.trim() : null;
+}
+
+function fingerprint(request, body) {
+  const fields = Object.fromEntries(
+    Object.entries(body ?? {})
+      .filter(([field]) => !VOLATILE_FIELDS.includes(field))
+      .sort(([a], [b]) => a.localeCompare(b)),
+  );
+  return createHash("sha256")
+    .update(`${request.method} ${new URL(request.url).pathname} ${JSON.stringify(fields)}`)
+    .digest("hex");
+}
+
+function windowStart() {
+  return new Date(Date.now() - IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000);
+}
+
+// Run from the maintenance sweep. Keys are only replayed within the window,
+// so older records are dead weight.
+export function purgeExpiredIdempotencyRecords() {
+  return db.idempotencyRecord.deleteMany({ where: { createdAt: { lt: windowStart() } } });
+}
+
+function replay(record) {
+  return new Response(record.body, {
+    status: record.status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Idempotent-Replayed": "true",
+    },
+  });
+}
+
+// Claims the key, or returns the response to send instead of running the
+// request: the stored one, or an error for a key in use.
+async function claim(where, data) {
+  try {
+    await db.idempotencyRecord.create({ data: { ...where, ...data } });
+    return null;
+  } catch (error) {
+    if (error.code !== "P2002") throw error;
+  }
+
+  const record = await db.idempotencyRecord.findUnique({
+    where: { shop_owner_key: where },
+  });
+  if (!record || record.createdAt < windowStart()) {
+    await db.idempotencyRecord.deleteMany({ where });
+    return claim(where, data);
+  }
+  if (record.fingerprint !== data.fingerprint) {
+    return errorResponse("This idempotency key was already used for a different request", 422);
+  }
+  if (record.status === null) {
+    if (Date.now() - record.createdAt < IN_PROGRESS_LEASE_MS) {
+      return errorResponse("A request with this idempotency key is still in progress", 409);
+    }
+    // Only the abandoned claim; a retry that took it over in the meantime stays.
+    await db.idempotencyRecord.deleteMany({
+      where: { ...where, status: null, createdAt: record.createdAt },
+    });
+    return claim(where, data);
+  }
+  return replay(record);
+}
+
+// Runs `handler` (which returns or throws a Response) once per key. Server
+// errors are not stored, so the request can be retried with the same key.
+export async function withIdempotency(request, body, { shop, owner }, handler) {
+  const key = getIdempotencyKey(request, body);
+  if (!key) return handler();
+  if (key.length > MAX_KEY_LENGTH) {
+    return errorResponse(`Idempotency key must be at most ${MAX_KEY_LENGTH} characters`, 400);
+  }
+
+  const where = { shop, owner: owner ?? "anonymous", key };
+  const existing = await claim(where, { fingerprint: fingerprint(request, body) });
+  if (existing) return existing;
+
+  let response;
+  try {
+    response = await handler();
+  } catch (error) {
+    if (!(error instanceof Response)) {
+      await db.idempotencyRecord.delete({ where: { shop_owner_key: where } });
+      throw error;
+    }
+    response = error;
+  }
+
+  if (response.status >= 500) {
+    await db.idempotencyRecord.delete({ where: { shop_owner_key: where } });
+  } else {
+    await db.idempotencyRecord.update({
+      where: { shop_owner_key: where },
+      data: { status: response.status, body: await response.clone().text() },
+    });
+  }
+  return response;
+}
@@ -0,0 +1,109 @@
+import db from "./db.server";
+
+// Runs BackgroundJob rows inside the app process. A job is a `step` function
+// called repeatedly with `{ shop, options, cursor, progress }` that does one
+// page of work and returns `{ cursor, progress, done }`; both are saved after
+// every step. If the process stops, the job stays "running" without
+// progressing and is marked "interrupted" once it has been quiet for
+// STALE_AFTER_MS, after which it can be resumed from its last cursor.
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+// Jobs running in this process, so a job is never run twice at once here.
+const running = new Set();
+
+function toJob(row) {
+  return {
+    ...row,
+    options: JSON.parse(row.options),
+    progress: JSON.parse(row.progress),
+  };
+}
+
+async function run(job, step) {
+  running.add(job.id);
+  let { cursor, progress } = job;
+
+  try {
+    for (;;) {
+      const result = await step({ shop: job.shop, options: job.options, cursor, progress });
+      ({ cursor, progress } = result);
+      await db.backgroundJob.update({
+        where: { id: job.id },
+        data: {
+          cursor,
+          progress: JSON.stringify(progress),
+          ...(result.done ? { status: "completed", finishedAt: new Date() } : {}),
+        },
+      });
+      if (result.done) break;
+    }
+    console.log(`[jobs] ${job.type} ${job.id} completed for ${job.shop}`);
+  } catch (error) {
+    console.error(`[jobs] ${job.type} ${job.id} failed for ${job.shop}:`, error);
+    await db.backgroundJob.update({
+      where: { id: job.id },
+      data: { status: "failed", error: error.message || String(error), finishedAt: new Date() },
+    });
+  } finally {
+    running.delete(job.id);
+  }
+}
+
+// Marking a failed job can itself fail (e.g. the database is gone), so the
+// unawaited run always ends in a log rather than an unhandled rejection.
+function runInBackground(job, step) {
+  run(job, step).catch((error) => {
+    console.error(`[jobs] ${job.type} ${job.id} could not be finished for ${job.shop}:`, error);
+  });
+}
+
+// Creates the job and starts it without waiting for it to finish.
+export async function startJob(shop, type, options, step) {
+  const job = toJob(
+    await db.backgroundJob.create({
+      data: { shop, type, options: JSON.stringify(options) },
+    }),
+  );
+  runInBackground(job, step);
+  return job;
+}
+
+// Restarts a failed or interrupted job of the type from its last saved cursor.
+export async function resumeJob(shop, type, id, step) {
+  const { count } = await db.backgroundJob.updateMany({
+    where: { id, shop, type, status: { in: ["failed", "interrupted"] } },
+    data: { status: "running", error: null, finishedAt: null },
+  });
+  if (count === 0) return null;
+
+  const job = toJob(await db.backgroundJob.findUnique({ where: { id } }));
+  runInBackground(job, step);
+  return job;
+}
+
+// Latest jobs of a type, newest first. Running jobs that have stopped making
+// progress are marked interrupted on the way.
+export async function getJobs(shop, type, { take = 5 } = {}) {
+  await db.backgroundJob.updateMany({
+    where: {
+      shop,
+      type,
+      status: "running",
+      id: { notIn: [...running] },
+      updatedAt: { lt: new Date(Date.now() - STALE_AFTER_MS) },
+    },
+    data: { status: "interrupted" },
+  });
+
+  const rows = await db.backgroundJob.findMany({
+    where: { shop, type },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+  return rows.map(toJob);
+}
+
+export async function hasRunningJob(shop, type) {
+  const [latest] = await getJobs(shop, type, { take: 1 });
+  return latest?.status === "running";
+}
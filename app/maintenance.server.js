@@ -0,0 +1,48 @@
+import { retryUndeliveredNotifications } from "./alerts/delivery.server";
+import { runDueErasures } from "./compliance.server";
+import { purgeExpiredGuestFavorites } from "./favorites/guests.server";
+import { purgeExpiredMissingProducts } from "./favorites/products.server";
+import { purgeExpiredIdempotencyRecords } from "./idempotency.server";
+import { purgeStaleBuckets } from "./rate-limit.server";
+import { runDuePurges } from "./shop-purge.server";
+
+// Periodic housekeeping that no request should wait for. Started once per
+// process from entry.server.jsx; each task logs and swallows its own errors so
+// one failure does not stop the others or the timer.
+const INTERVAL_MS = 10 * 60 * 1000;
+
+const TASKS = [
+  ["shop-purge", runDuePurges],
+  ["customer-erasure", runDueErasures],
+  ["alerts", retryUndeliveredNotifications],
+  ["guest-favorites", purgeExpiredGuestFavorites],
+  ["idempotency", purgeExpiredIdempotencyRecords],
+  ["rate-limit", purgeStaleBuckets],
+  ["missing-products", purgeExpiredMissingProducts],
+];
+
+let running = false;
+
+async function runMaintenance() {
+  if (running) return;
+  running = true;
+  try {
+    for (const [name, task] of TASKS) {
+      try {
+        await task();
+      } catch (error) {
+        console.error(`[maintenance] ${name} failed:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+export function startMaintenance() {
+  // The dev server reloads modules; keep a single timer per process.
+  if (global.maintenanceTimer) return;
+  global.maintenanceTimer = setInterval(runMaintenance, INTERVAL_MS);
+  global.maintenanceTimer.unref?.();
+  setTimeout(runMaintenance, 0).unref?.();
+}
@@ -0,0 +1,81 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "./shopify.server";
+import { verifyGuestToken } from "./favorites/guests.server";
+import { enforceRateLimit } from "./rate-limit.server";
+
+const CUSTOMER_GID_PREFIX = "gid://shopify/Customer/";
+
+export function toCustomerGid(id) {
+  if (id === null || id === undefined || id === "") return null;
+  const value = String(id).trim();
+  return value.startsWith(CUSTOMER_GID_PREFIX)
+    ? value
+    : `${CUSTOMER_GID_PREFIX}${value}`;
+}
+
+// Storefront calls arrive through the app proxy (/apps/favorite/*). Shopify
+// signs every proxied request and appends `shop` and `logged_in_customer_id`,
+// so both are taken from the signed query string rather than from the body.
+// Unsigned requests are rejected by `authenticate.public.appProxy` with a 400,
+// and callers over the shop's rate limit get a 429 (app/rate-limit.server.js).
+// A verified guest token, when given, is what the rate limit knows a
+// logged-out shopper by.
+export async function authenticateProxy(request, { guestToken } = {}) {
+  const { session } = await authenticate.public.appProxy(request);
+  const url = new URL(request.url);
+  const shop = url.searchParams.get("shop");
+
+  if (!session) {
+    throw json(
+      { success: false, error: `App is not installed on shop: ${shop}` },
+      { status: 401 },
+    );
+  }
+
+  const customerId = toCustomerGid(url.searchParams.get("logged_in_customer_id"));
+  const guestId = guestToken ? verifyGuestToken(session.shop, guestToken) : null;
+  await enforceRateLimit(request, session.shop, { customerId, guestId });
+
+  return { shop: session.shop, session, customerId, guestId };
+}
+
+// Same as `authenticateProxy`, but requires a logged-in customer. If the caller
+// names a customer (legacy snippets still send `customerId`), it has to be the
+// one Shopify says is logged in.
+export async function authenticateCustomer(request, requestedCustomerId) {
+  const context = await authenticateProxy(request);
+
+  if (!context.customerId) {
+    throw json(
+      { success: false, error: "Customer must be logged in" },
+      { status: 401 },
+    );
+  }
+
+  assertCustomerMatches(context.customerId, requestedCustomerId);
+
+  return context;
+}
+
+export function assertCustomerMatches(customerId, requestedCustomerId) {
+  const requested = toCustomerGid(requestedCustomerId);
+  if (requested && requested !== customerId) {
+    throw json(
+      { success: false, error: "Requested customer does not match the logged-in customer" },
+      { status: 403 },
+    );
+  }
+}
+
+// For endpoints that also serve logged-out shoppers. `guestId` comes from the
+// signed guest token the storefront sends, if any; for a logged-in customer it
+// identifies guest favorites still waiting to be merged.
+export async function authenticateShopper(request, { customerId, guestToken } = {}) {
+  const context = await authenticateProxy(request, { guestToken });
+
+  if (context.customerId) {
+    assertCustomerMatches(context.customerId, customerId);
+  }
+
+  return context;
+}
@@ -0,0 +1,97 @@
+import { json } from "@remix-run/node";
+import db from "./db.server";
+import { getShopSettings } from "./settings.server";
+
+// Every storefront call costs the shop Admin API requests, so app proxy routes
+// are throttled with token buckets: one per shopper (the logged-in customer,
+// the guest token's guest, otherwise the client IP) and one for the whole
+// shop. A shopper who cannot be told apart from others only counts against
+// the shop's bucket rather than sharing one with them. A bucket holds up to a
+// minute's worth of requests and refills continuously, so short bursts are
+// fine and steady traffic is capped at the per-minute limit set in Settings.
+// Buckets live in the app database so every instance shares them.
+
+// Buckets untouched this long are full again and can go.
+const STALE_BUCKET_MS = 60 * 60 * 1000;
+
+// The client's address as seen by the nearest proxy we trust, or null. Each
+// proxy appends the address it was called from to X-Forwarded-For, so
+// everything left of the entries they added was sent by the client and can be
+// anything. TRUSTED_PROXY_HOPS is how many proxies in front of the app append
+// to the header. Storefront calls go shopper -> Shopify's app proxy -> the
+// host's load balancer -> app, so the default is 2: with 1, every shopper
+// would have the address of Shopify's proxy. Set it to 1 when nothing sits
+// between Shopify and the app, and add one for every further proxy.
+export function clientAddress(request) {
+  const hops = Number(process.env.TRUSTED_PROXY_HOPS) || 2;
+  const forwarded = (request.headers.get("X-Forwarded-For") ?? "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  return forwarded.length >= hops ? forwarded[forwarded.length - hops] : null;
+}
+
+// The shopper's bucket key, or null when there is nothing to tell them apart.
+function shopperKey(request, { customerId, guestId }) {
+  if (customerId) return `customer:${customerId}`;
+  if (guestId) return `guest:${guestId}`;
+  const address = clientAddress(request);
+  return address ? `ip:${address}` : null;
+}
+
+// Run from the maintenance sweep.
+export function purgeStaleBuckets() {
+  return db.rateLimitBucket.deleteMany({
+    where: { refilledAt: { lt: new Date(Date.now() - STALE_BUCKET_MS) } },
+  });
+}
+
+// Takes a token from the bucket. Returns 0, or the milliseconds until a token
+// is available again.
+async function takeToken(shop, key, perMinute) {
+  const where = { shop_key: { shop, key } };
+  const refillPerMs = perMinute / 60000;
+
+  return db.$transaction(async (tx) => {
+    const now = new Date();
+    const bucket = await tx.rateLimitBucket.findUnique({ where });
+    const tokens = bucket
+      ? Math.min(perMinute, bucket.tokens + (now - bucket.refilledAt) * refillPerMs)
+      : perMinute;
+
+    if (tokens < 1) return Math.ceil((1 - tokens) / refillPerMs);
+
+    await tx.rateLimitBucket.upsert({
+      where,
+      create: { shop, key, tokens: tokens - 1, refilledAt: now },
+      update: { tokens: tokens - 1, refilledAt: now },
+    });
+    return 0;
+  });
+}
+
+// Returns 0 if the request may go ahead, otherwise the seconds to wait. The
+// shopper's bucket is checked first so one busy client runs out on its own
+// before it drains the shop's. `guestId` must come from a verified guest
+// token.
+export async function checkRateLimit(request, shop, { customerId, guestId } = {}) {
+  const { shopperRateLimit, shopRateLimit } = await getShopSettings(shop);
+  const shopper = shopperKey(request, { customerId, guestId });
+
+  const waitMs =
+    (shopper && (await takeToken(shop, shopper, shopperRateLimit))) ||
+    (await takeToken(shop, "shop", shopRateLimit));
+  return Math.ceil(waitMs / 1000);
+}
+
+// Throws a 429 with Retry-After when the request is over the limit.
+export async function enforceRateLimit(request, shop, shopper = {}) {
+  const retryAfter = await checkRateLimit(request, shop, shopper);
+  if (retryAfter > 0) {
+    console.warn(`[rate-limit] Throttled ${shopperKey(request, shopper) ?? "a shopper"} on ${shop}`);
+    throw json(
+      { success: false, error: "Too many requests. Please try again shortly.", retryAfter },
+      { status: 429, headers: { "Retry-After": String(retryAfter) } },
+    );
+  }
+}
@@ -0,0 +1,43 @@
+import { json } from "@remix-run/node";
+import { authenticateCustomer } from "../proxy.server";
+import { isAlertOptedOut, setAlertOptOut } from "../alerts/alerts.server";
+import {
+  errorResponse,
+  handleError,
+  readJsonBody,
+} from "../favorites/http.server";
+
+// Storefront: /apps/favorite/alert-preferences
+//   GET  whether the logged-in customer gets restock and price-drop emails
+//   PUT  { optedOut: boolean }
+export async function loader({ request }) {
+  try {
+    const url = new URL(request.url);
+    const context = await authenticateCustomer(
+      request,
+      url.searchParams.get("customerId"),
+    );
+
+    return json({ success: true, optedOut: await isAlertOptedOut(context) });
+  } catch (error) {
+    return handleError("[alert-preferences][GET]", error);
+  }
+}
+
+export async function action({ request }) {
+  try {
+    const body = await readJsonBody(request);
+    const context = await authenticateCustomer(request, body.customerId);
+
+    if (request.method !== "PUT") {
+      return errorResponse(`Method ${request.method} not allowed`, 405);
+    }
+    if (typeof body.optedOut !== "boolean") {
+      return errorResponse("optedOut must be a boolean", 400);
+    }
+
+    return json({ success: true, optedOut: await setAlertOptOut(context, body.optedOut) });
+  } catch (error) {
+    return handleError(`[alert-preferences][${request.method}]`, error);
+  }
+}
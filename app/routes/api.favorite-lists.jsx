@@ -0,0 +1,60 @@
+import { json } from "@remix-run/node";
+import { authenticateCustomer } from "../proxy.server";
+import {
+  createList,
+  deleteList,
+  getLists,
+  renameList,
+} from "../favorites/lists.server";
+import {
+  errorResponse,
+  handleError,
+  readJsonBody,
+} from "../favorites/http.server";
+
+// Storefront: /apps/favorite/favorite-lists
+//   GET     the logged-in customer's lists with item counts
+//   POST    create { name, handle? }; the handle defaults to a slug of the name
+//   PATCH   rename { listId, name }
+//   DELETE  delete { listId }
+export async function loader({ request }) {
+  try {
+    const url = new URL(request.url);
+    const context = await authenticateCustomer(
+      request,
+      url.searchParams.get("customerId"),
+    );
+
+    return json({ success: true, lists: await getLists(context) });
+  } catch (error) {
+    return handleError("[favorite-lists][GET]", error);
+  }
+}
+
+export async function action({ request }) {
+  try {
+    const body = await readJsonBody(request);
+    const context = await authenticateCustomer(request, body.customerId);
+
+    switch (request.method) {
+      case "POST":
+        return json(
+          { success: true, ...(await createList(context, body.name, body.handle)) },
+          { status: 201 },
+        );
+      case "PATCH":
+        if (!body.listId) return errorResponse("Missing required field: listId", 400);
+        return json({
+          success: true,
+          ...(await renameList(context, body.listId, body.name)),
+        });
+      case "DELETE":
+        if (!body.listId) return errorResponse("Missing required field: listId", 400);
+        return json({ success: true, ...(await deleteList(context, body.listId)) });
+      default:
+        return errorResponse(`Method ${request.method} not allowed`, 405);
+    }
+  } catch (error) {
+    return handleError(`[favorite-lists][${request.method}]`, error);
+  }
+}
@@ -0,0 +1,205 @@
+import { json } from "@remix-run/node";
+import { authenticateShopper } from "../proxy.server";
+import { getShopSettings } from "../settings.server";
+import { withIdempotency } from "../idempotency.server";
+import * as customerFavorites from "../favorites/favorites.server";
+import * as guestFavorites from "../favorites/guests.server";
+import { DEFAULT_LIST_ID } from "../favorites/document.server";
+import { validateEntryInput } from "../favorites/entries.server";
+import { moveFavorite } from "../favorites/lists.server";
+import { toProductGid } from "../favorites/products.server";
+import {
+  errorResponse,
+  favoritesResponse,
+  handleError,
+  readJsonBody,
+} from "../favorites/http.server";
+
+// Enough for a collection grid in one request.
+const MAX_STATUS_PRODUCTS = 250;
+
+// Storefront: /apps/favorite/favorites
+//   GET     list favorites (?listId=, default list if omitted; ?guestToken=)
+//           with ?productIds=1,2,..., only which of those products are favorited:
+//           { favorited: { "gid://shopify/Product/1": true, ... }, count }
+//   PUT     add    { productId | productHandle, variantId?, note?, source?, listId?, guestToken? }
+//   DELETE  remove { productId | productHandle, variantId?, listId?, guestToken? }
+//   POST    toggle { productId | productHandle, variantId?, note?, source?, listId?, guestToken? }
+//   PATCH   move   { productId | productHandle, variantId?, fromListId, toListId }
+//
+// Lists are named by id or by handle (see app/favorites/document.server.js).
+// A handle the customer has no list for reads as empty, and adding to it
+// creates the list, so theme blocks can target a list by handle.
+//
+// Logged-out shoppers get a default list stored under a guest token. The first
+// guest write issues one and returns it as `guestToken`; the storefront sends
+// it back on every call. Once the shopper is logged in, a request carrying the
+// token merges the guest favorites into theirs and returns `guestToken: null`
+// so the storefront can forget it. Shops can turn guest favorites off in
+// Settings, and logged-out shoppers then get a 401.
+//
+// Writes accept an idempotency key, as an `Idempotency-Key` header or
+// `idempotencyKey` in the body; a retry with the same key gets the first
+// response back (see app/idempotency.server.js). Removing a product that is
+// not in the list succeeds with an empty `removed`.
+async function authenticateFavorites(request, { customerId, guestToken, listId, write }) {
+  const context = await authenticateShopper(request, { customerId, guestToken });
+  const extra = {};
+
+  if (context.customerId) {
+    if (guestToken) {
+      if (context.guestId) {
+        extra.merged = await guestFavorites.mergeGuestFavorites(context);
+      }
+      extra.guestToken = null;
+    }
+    return { context, store: customerFavorites, extra };
+  }
+
+  const { guestFavoritesEnabled } = await getShopSettings(context.shop);
+  if (!guestFavoritesEnabled) {
+    throw errorResponse("Customer must be logged in to save favorites", 401, {
+      code: "GUESTS_DISABLED",
+    });
+  }
+
+  if (listId && listId !== DEFAULT_LIST_ID) {
+    throw errorResponse("Customer must be logged in to use named lists", 401);
+  }
+
+  if (write && !context.guestId) {
+    const { guestId, guestToken: issued } = guestFavorites.issueGuestToken(context.shop);
+    context.guestId = guestId;
+    extra.guestToken = issued;
+  }
+  return { context, store: guestFavorites, extra };
+}
+
+export async function loader({ request }) {
+  try {
+    const url = new URL(request.url);
+    const listId = url.searchParams.get("listId") || undefined;
+    const { context, store, extra } = await authenticateFavorites(request, {
+      customerId: url.searchParams.get("customerId"),
+      guestToken: url.searchParams.get("guestToken"),
+      listId,
+    });
+    const favorites = await store.getFavorites(context, listId);
+
+    const productIds = url.searchParams.get("productIds");
+    if (productIds !== null) {
+      const ids = productIds.split(",").map(toProductGid).filter(Boolean);
+      if (ids.length > MAX_STATUS_PRODUCTS) {
+        return errorResponse(`Check at most ${MAX_STATUS_PRODUCTS} products at a time`, 400);
+      }
+      const saved = new Set(favorites.map((entry) => entry.productId));
+      return json({
+        success: true,
+        favorited: Object.fromEntries(ids.map((id) => [id, saved.has(id)])),
+        count: favorites.length,
+        listId: listId ?? DEFAULT_LIST_ID,
+        ...extra,
+      });
+    }
+
+    return favoritesResponse(favorites, { listId: listId ?? DEFAULT_LIST_ID, ...extra });
+  } catch (error) {
+    return handleError("[favorites][GET]", error);
+  }
+}
+
+async function writeFavorites(request, body, { context, store, extra }) {
+  if (!body.productId && !body.productHandle) {
+    return errorResponse("Missing required field: productId or productHandle", 400);
+  }
+
+  const invalid = validateEntryInput(body);
+  if (invalid) {
+    return errorResponse(invalid, 400);
+  }
+
+  const entry = await customerFavorites.resolveFavoriteInput(context.shop, {
+    productId: body.productId,
+    productHandle: body.productHandle,
+    variantId: body.variantId,
+    note: body.note,
+    source: body.source,
+  });
+
+  const options = { listId: body.listId || undefined };
+
+  if (request.method === "DELETE") {
+    const { favorites, removed, listId } = await store.removeFavorites(
+      context,
+      [entry],
+      options,
+    );
+    return favoritesResponse(favorites, { removed, listId, ...extra });
+  }
+
+  if (request.method === "PATCH") {
+    if (!context.customerId) {
+      return errorResponse("Customer must be logged in to move favorites", 401);
+    }
+    if (!body.fromListId || !body.toListId) {
+      return errorResponse("Missing required fields: fromListId and toListId", 400);
+    }
+    const { moved, lists } = await moveFavorite(
+      context,
+      entry,
+      body.fromListId,
+      body.toListId,
+    );
+    return json({ success: true, moved, lists, ...extra });
+  }
+
+  if (!entry.productId) {
+    return errorResponse("Product not found", 404, { productHandle: entry.handle });
+  }
+
+  switch (request.method) {
+    case "PUT": {
+      const { favorites, added, listId } = await store.addFavorites(
+        context,
+        [entry],
+        options,
+      );
+      return favoritesResponse(favorites, { added, listId, ...extra });
+    }
+    case "POST": {
+      const { favorites, favorited, listId } = await store.toggleFavorite(
+        context,
+        entry,
+        options,
+      );
+      return favoritesResponse(favorites, { favorited, listId, ...extra });
+    }
+    default:
+      return errorResponse(`Method ${request.method} not allowed`, 405);
+  }
+}
+
+export async function action({ request }) {
+  try {
+    const body = await readJsonBody(request);
+    const { context, store, extra } = await authenticateFavorites(request, {
+      customerId: body.customerId,
+      guestToken: body.guestToken,
+      listId: body.listId,
+      write: request.method === "PUT" || request.method === "POST",
+    });
+
+    // A guest's first write has no guest id to scope its key to (a retry would
+    // be issued a new one), so its key stands alone and a replay hands back
+    // the guest token issued the first time.
+    const owner = context.customerId ?? (extra.guestToken ? null : context.guestId);
+    return await withIdempotency(
+      request,
+      body,
+      { shop: context.shop, owner },
+      () => writeFavorites(request, body, { context, store, extra }),
+    );
+  } catch (error) {
+    return handleError(`[favorites][${request.method}]`, error);
+  }
+}
@@ -0,0 +1,39 @@
+import { authenticateProxy } from "../proxy.server";
+import { getShopSettings } from "../settings.server";
+import { handleError } from "../favorites/http.server";
+import sdkSource from "../storefront/favapp-sdk.js?raw";
+
+// Storefront: /apps/favorite/sdk.js
+// The FavApp SDK with the shop's storefront settings. It is the same for every
+// shopper, so it can be cached; settings changes show up within max-age. Who
+// is logged in comes from the page, which is never cached across a login
+// (see the `data-customer-id` on the blocks' script tags).
+export async function loader({ request }) {
+  try {
+    const { shop } = await authenticateProxy(request);
+    const settings = await getShopSettings(shop);
+    const config = {
+      proxyPath: "/apps/favorite",
+      guestFavorites: settings.guestFavoritesEnabled,
+      alerts: settings.alertsEnabled,
+      text: {
+        addLabel: settings.addLabel,
+        removeLabel: settings.removeLabel,
+        emptyMessage: settings.emptyMessage,
+        errorMessage: settings.errorMessage,
+      },
+    };
+
+    return new Response(
+      `window.FavAppConfig = ${JSON.stringify(config)};\n${sdkSource}`,
+      {
+        headers: {
+          "Content-Type": "application/javascript; charset=utf-8",
+          "Cache-Control": "public, max-age=300",
+        },
+      },
+    );
+  } catch (error) {
+    return handleError("[sdk][GET]", error);
+  }
+}
@@ -0,0 +1,60 @@
+import { json } from "@remix-run/node";
+import { authenticateCustomer } from "../proxy.server";
+import {
+  createShareLink,
+  getShareLink,
+  resolveListId,
+  revokeShareLink,
+} from "../favorites/sharing.server";
+import {
+  errorResponse,
+  handleError,
+  readJsonBody,
+} from "../favorites/http.server";
+
+// Storefront: /apps/favorite/share-links. Lists are named by id or handle.
+//   GET     the active share link for a list (?listId=, default list if omitted)
+//   POST    create { listId?, regenerate? }; returns the active link unless
+//           `regenerate` is set, in which case the old one stops working
+//   DELETE  revoke { listId? }
+export async function loader({ request }) {
+  try {
+    const url = new URL(request.url);
+    const context = await authenticateCustomer(
+      request,
+      url.searchParams.get("customerId"),
+    );
+    const link = await getShareLink(context, url.searchParams.get("listId") || undefined);
+
+    return json({ success: true, link });
+  } catch (error) {
+    return handleError("[share-links][GET]", error);
+  }
+}
+
+export async function action({ request }) {
+  try {
+    const body = await readJsonBody(request);
+    const context = await authenticateCustomer(request, body.customerId);
+    const listId = body.listId || undefined;
+
+    switch (request.method) {
+      case "POST": {
+        const { link, created } = await createShareLink(context, listId, {
+          regenerate: Boolean(body.regenerate),
+        });
+        return json({ success: true, link }, { status: created ? 201 : 200 });
+      }
+      case "DELETE": {
+        if (!(await revokeShareLink(context, await resolveListId(context, listId)))) {
+          return errorResponse("List has no share link", 404, { listId });
+        }
+        return json({ success: true, link: null });
+      }
+      default:
+        return errorResponse(`Method ${request.method} not allowed`, 405);
+    }
+  } catch (error) {
+    return handleError(`[share-links][${request.method}]`, error);
+  }
+}
@@ -0,0 +1,98 @@
+import { authenticate } from "../shopify.server";
+import { openShareLink } from "../favorites/sharing.server";
+import { getProductDetails } from "../favorites/products.server";
+import { checkRateLimit } from "../rate-limit.server";
+
+// Storefront page: /apps/favorite/shared/<token>
+// Read-only view of a shared list, rendered inside the shop's theme. Only
+// active products are shown.
+
+// Product data ends up inside Liquid, so braces are escaped as well as HTML.
+function escape(value) {
+  return String(value ?? "").replace(/[&<>"'{}]/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function formatPrice({ amount, currencyCode }) {
+  return new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: currencyCode,
+  }).format(Number(amount));
+}
+
+function renderItem(product, variant) {
+  const image = variant?.image ?? product.featuredImage;
+  const url = variant
+    ? `/products/${product.handle}?variant=${variant.id.split("/").pop()}`
+    : `/products/${product.handle}`;
+  const price = variant
+    ? formatPrice({ amount: variant.price, currencyCode: product.priceRangeV2.minVariantPrice.currencyCode })
+    : formatPrice(product.priceRangeV2.minVariantPrice);
+
+  return `
+    <li class="favapp-shared__item">
+      <a href="${escape(url)}">
+        ${image ? `<img src="${escape(image.url)}" alt="${escape(image.altText ?? product.title)}" width="300" loading="lazy">` : ""}
+        <span class="favapp-shared__title">${escape(product.title)}</span>
+        ${variant ? `<span class="favapp-shared__variant">${escape(variant.title)}</span>` : ""}
+        <span class="favapp-shared__price">${escape(price)}</span>
+      </a>
+    </li>`;
+}
+
+function renderList(list, details) {
+  const items = list.items
+    .filter((entry) => details.get(entry.productId)?.status === "ACTIVE")
+    .map((entry) =>
+      renderItem(details.get(entry.productId), details.get(entry.variantId)),
+    );
+
+  return `
+    <div class="page-width favapp-shared">
+      <h1>${escape(list.name)}</h1>
+      ${items.length > 0
+        ? `<ul class="favapp-shared__items">${items.join("")}</ul>`
+        : "<p>This list is empty.</p>"}
+    </div>`;
+}
+
+export async function loader({ request, params }) {
+  const { session, liquid } = await authenticate.public.appProxy(request);
+
+  if (!session) {
+    return liquid('<div class="page-width"><p>This list is not available.</p></div>', {
+      status: 404,
+    });
+  }
+
+  try {
+    const retryAfter = await checkRateLimit(request, session.shop);
+    if (retryAfter > 0) {
+      return liquid(
+        '<div class="page-width"><p>Too many requests. Please try again in a moment.</p></div>',
+        { status: 429, headers: { "Retry-After": String(retryAfter) } },
+      );
+    }
+
+    const shared = await openShareLink(session.shop, params.token);
+    if (!shared) {
+      return liquid(
+        '<div class="page-width"><p>This list is no longer shared.</p></div>',
+        { status: 404 },
+      );
+    }
+
+    const { list } = shared;
+    const details = await getProductDetails(
+      session.shop,
+      list.items.flatMap((entry) => [entry.productId, entry.variantId]).filter(Boolean),
+    );
+
+    return liquid(renderList(list, details));
+  } catch (error) {
+    console.error("[shared][GET] Error:", error);
+    return liquid(
+      '<div class="page-width"><p>This list could not be loaded. Please try again later.</p></div>',
+      { status: 500 },
+    );
+  }
+}
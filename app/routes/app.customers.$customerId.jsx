@@ -0,0 +1,313 @@
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  InlineStack,
+  Page,
+  Text,
+  Thumbnail,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { AdminGraphqlError } from "../admin-graphql.server";
+import { toCustomerGid } from "../proxy.server";
+import {
+  addFavorites,
+  clearFavorites,
+  getDocument,
+  removeFavorites,
+} from "../favorites/favorites.server";
+import { ADMIN_SOURCE, createEntry } from "../favorites/entries.server";
+import { getCustomer } from "../favorites/customers.server";
+import { getAuditLog, recordStaffChange } from "../favorites/audit.server";
+import {
+  getProductDetails,
+  toProductGid,
+  toVariantGid,
+} from "../favorites/products.server";
+import { FavoritesConflictError } from "../favorites/errors.server";
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const customerId = toCustomerGid(params.customerId);
+
+  try {
+    const customer = await getCustomer(session.shop, customerId);
+    if (!customer) {
+      throw new Response("Customer not found", { status: 404 });
+    }
+
+    const document = await getDocument({ shop: session.shop, customerId });
+    const entries = document.lists.flatMap((list) => list.items);
+    const details = await getProductDetails(
+      session.shop,
+      entries
+        .flatMap((entry) => [entry.productId, entry.variantId])
+        .filter(Boolean),
+    );
+    const auditLog = await getAuditLog(session.shop, customerId);
+
+    return {
+      customer,
+      lists: document.lists.map((list) => ({
+        id: list.id,
+        name: list.name,
+        items: list.items.map((entry) => ({
+          ...entry,
+          product: details.get(entry.productId) ?? null,
+          variant: details.get(entry.variantId) ?? null,
+        })),
+      })),
+      auditLog: auditLog.map((row) => ({
+        ...row,
+        productTitle: details.get(row.productId)?.title ?? row.productId,
+      })),
+    };
+  } catch (error) {
+    if (!(error instanceof AdminGraphqlError)) throw error;
+    console.error("[customers] Could not load favorites:", error);
+    return { error: error.message };
+  }
+};
+
+// Every change is made as the customer and recorded against the staff member.
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const customerId = toCustomerGid(params.customerId);
+  const context = { shop: session.shop, customerId };
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const listId = formData.get("listId") || undefined;
+
+  try {
+    switch (intent) {
+      case "add": {
+        const entries = JSON.parse(formData.get("productIds") || "[]")
+          .map(toProductGid)
+          .filter(Boolean)
+          .map((productId) => createEntry({ productId, source: ADMIN_SOURCE }));
+        const { added, listId: target } = await addFavorites(context, entries, {
+          listId,
+        });
+        await recordStaffChange(session, customerId, "add", {
+          listId: target,
+          entries: added,
+        });
+        return { ok: true };
+      }
+      case "remove": {
+        const entry = createEntry({
+          productId: toProductGid(formData.get("productId")),
+          variantId: toVariantGid(formData.get("variantId")),
+        });
+        const { removed, listId: target } = await removeFavorites(
+          context,
+          [entry],
+          { listId },
+        );
+        await recordStaffChange(session, customerId, "remove", {
+          listId: target,
+          entries: removed,
+        });
+        return { ok: true };
+      }
+      case "clear": {
+        const { removed, listId: target } = await clearFavorites(context, {
+          listId,
+        });
+        await recordStaffChange(session, customerId, "clear", {
+          listId: target,
+          entries: removed,
+        });
+        return { ok: true };
+      }
+      default:
+        return { error: `Unknown action: ${intent}` };
+    }
+  } catch (error) {
+    // Limits (favorites per customer, lists) come back as error responses.
+    if (error instanceof Response && error.status === 422) {
+      return { error: (await error.json()).error };
+    }
+    if (
+      !(
+        error instanceof AdminGraphqlError ||
+        error instanceof FavoritesConflictError
+      )
+    ) {
+      throw error;
+    }
+    console.error(
+      `[customers] Could not ${intent} favorites for ${customerId}:`,
+      error,
+    );
+    return { error: error.message };
+  }
+};
+
+function FavoriteList({ list }) {
+  const shopify = useAppBridge();
+  const fetcher = useFetcher();
+  const isBusy = fetcher.state !== "idle";
+
+  const addProducts = async () => {
+    const selected = await shopify.resourcePicker({
+      type: "product",
+      multiple: true,
+    });
+    if (!selected?.length) return;
+    fetcher.submit(
+      {
+        intent: "add",
+        listId: list.id,
+        productIds: JSON.stringify(selected.map((product) => product.id)),
+      },
+      { method: "POST" },
+    );
+  };
+
+  const rows = list.items.map((item) => {
+    const image = item.variant?.image ?? item.product?.featuredImage;
+    return [
+      <InlineStack
+        key={`${item.productId}-${item.variantId}`}
+        gap="300"
+        blockAlign="center"
+        wrap={false}
+      >
+        {image && (
+          <Thumbnail
+            size="small"
+            source={image.url}
+            alt={image.altText ?? ""}
+          />
+        )}
+        <Text as="span">
+          {item.product?.title ?? item.handle ?? "Deleted product"}
+        </Text>
+      </InlineStack>,
+      item.variant?.title ?? "Any",
+      item.addedAt ? new Date(item.addedAt).toLocaleDateString() : "Unknown",
+      item.note ?? "",
+      <Button
+        key="remove"
+        variant="plain"
+        tone="critical"
+        disabled={isBusy || !item.productId}
+        onClick={() =>
+          fetcher.submit(
+            {
+              intent: "remove",
+              listId: list.id,
+              productId: item.productId,
+              variantId: item.variantId ?? "",
+            },
+            { method: "POST" },
+          )
+        }
+      >
+        Remove
+      </Button>,
+    ];
+  });
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text as="h2" variant="headingMd">
+            {list.name} ({list.items.length})
+          </Text>
+          <InlineStack gap="200">
+            <Button onClick={addProducts} loading={isBusy}>
+              Add products
+            </Button>
+            <Button
+              tone="critical"
+              disabled={isBusy || list.items.length === 0}
+              onClick={() =>
+                fetcher.submit(
+                  { intent: "clear", listId: list.id },
+                  { method: "POST" },
+                )
+              }
+            >
+              Clear list
+            </Button>
+          </InlineStack>
+        </InlineStack>
+        {fetcher.data?.error && (
+          <Banner tone="critical">{fetcher.data.error}</Banner>
+        )}
+        {rows.length > 0 ? (
+          <DataTable
+            columnContentTypes={["text", "text", "text", "text", "text"]}
+            headings={["Product", "Variant", "Added", "Note", ""]}
+            rows={rows}
+          />
+        ) : (
+          <Text as="p" tone="subdued">
+            This list is empty.
+          </Text>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+const ACTION_LABELS = { add: "Added", remove: "Removed", clear: "Cleared" };
+
+export default function CustomerFavorites() {
+  const { customer, lists, auditLog, error } = useLoaderData();
+
+  if (error) {
+    return (
+      <Page backAction={{ url: "/app/customers" }}>
+        <TitleBar title="Customer favorites" />
+        <Banner tone="critical">{error}</Banner>
+      </Page>
+    );
+  }
+
+  return (
+    <Page backAction={{ url: "/app/customers" }}>
+      <TitleBar title={customer.displayName} />
+      <BlockStack gap="500">
+        <Text as="p" tone="subdued">
+          {customer.email}
+        </Text>
+        {lists.map((list) => (
+          <FavoriteList key={list.id} list={list} />
+        ))}
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Staff changes
+            </Text>
+            {auditLog.length > 0 ? (
+              <DataTable
+                columnContentTypes={["text", "text", "text", "text"]}
+                headings={["When", "Staff member", "Change", "Product"]}
+                rows={auditLog.map((row) => [
+                  new Date(row.createdAt).toLocaleString(),
+                  row.staffEmail
+                    ? `${row.staffName} (${row.staffEmail})`
+                    : row.staffName,
+                  `${ACTION_LABELS[row.action] ?? row.action} on ${lists.find((list) => list.id === row.listId)?.name ?? row.listId}`,
+                  row.productTitle,
+                ])}
+              />
+            ) : (
+              <Text as="p" tone="subdued">
+                No staff changes yet.
+              </Text>
+            )}
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,97 @@
+import { useState } from "react";
+import {
+  Link as RemixLink,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  InlineStack,
+  Page,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { AdminGraphqlError } from "../admin-graphql.server";
+import { searchCustomers } from "../favorites/customers.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const query = new URL(request.url).searchParams.get("q")?.trim() ?? "";
+
+  if (!query) {
+    return { query, customers: null };
+  }
+
+  try {
+    return { query, customers: await searchCustomers(session.shop, query) };
+  } catch (error) {
+    if (!(error instanceof AdminGraphqlError)) throw error;
+    console.error("[customers] Search failed:", error);
+    return { query, customers: null, error: error.message };
+  }
+};
+
+export default function Customers() {
+  const { query, customers, error } = useLoaderData();
+  const submit = useSubmit();
+  const navigation = useNavigation();
+  const [term, setTerm] = useState(query);
+
+  return (
+    <Page>
+      <TitleBar title="Customer favorites" />
+      <BlockStack gap="500">
+        <Card>
+          <InlineStack gap="300" blockAlign="end">
+            <div style={{ flexGrow: 1 }}>
+              <TextField
+                label="Search customers by name or email"
+                value={term}
+                onChange={setTerm}
+                autoComplete="off"
+              />
+            </div>
+            <Button
+              variant="primary"
+              loading={navigation.state === "loading"}
+              onClick={() => submit({ q: term }, { method: "get" })}
+            >
+              Search
+            </Button>
+          </InlineStack>
+        </Card>
+        {error && <Banner tone="critical">{error}</Banner>}
+        {customers && (
+          <Card>
+            {customers.length > 0 ? (
+              <DataTable
+                columnContentTypes={["text", "text"]}
+                headings={["Customer", "Email"]}
+                rows={customers.map((customer) => [
+                  <RemixLink
+                    key={customer.id}
+                    to={`/app/customers/${customer.id.split("/").pop()}`}
+                  >
+                    {customer.displayName}
+                  </RemixLink>,
+                  customer.email ?? "",
+                ])}
+              />
+            ) : (
+              <Text as="p" tone="subdued">
+                No customers match “{query}”.
+              </Text>
+            )}
+          </Card>
+        )}
+      </BlockStack>
+    </Page>
+  );
+}
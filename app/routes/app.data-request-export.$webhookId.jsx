@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { getDataRequestExport } from "../compliance.server";
+
+// Resource route: GET /app/data-request-export/<webhook id> returns the JSON
+// export for one customers/data_request. Fetched from the Data requests page.
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const result = await getDataRequestExport(session.shop, params.webhookId);
+
+  if (!result) {
+    throw new Response("Export not found", { status: 404 });
+  }
+
+  return new Response(JSON.stringify(JSON.parse(result), null, 2), {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="customer-data-${params.webhookId}.json"`,
+      "Cache-Control": "no-store",
+    },
+  });
+};
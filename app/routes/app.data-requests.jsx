@@ -0,0 +1,110 @@
+import { useState } from "react";
+import { useLoaderData } from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  Layout,
+  Page,
+  Text,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { listDataRequests } from "../compliance.server";
+import { download } from "../download";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const requests = await listDataRequests(session.shop);
+
+  return {
+    requests: requests.map((entry) => ({
+      ...entry,
+      customerId: entry.customerId?.split("/").pop() ?? null,
+    })),
+  };
+};
+
+const STATUS_BADGES = {
+  completed: { tone: "success", label: "Ready" },
+  processing: { tone: "info", label: "Processing" },
+  failed: { tone: "critical", label: "Failed" },
+};
+
+export default function DataRequests() {
+  const { requests } = useLoaderData();
+  const [downloading, setDownloading] = useState(null);
+  const [downloadError, setDownloadError] = useState(null);
+
+  const downloadExport = async (webhookId) => {
+    setDownloading(webhookId);
+    setDownloadError(null);
+    try {
+      const response = await fetch(`/app/data-request-export/${webhookId}`);
+      if (!response.ok) throw new Error(`Download failed (${response.status})`);
+      download(`customer-data-${webhookId}.json`, await response.blob());
+    } catch (error) {
+      setDownloadError(error.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const rows = requests.map((entry) => {
+    const badge = STATUS_BADGES[entry.status] ?? { label: entry.status };
+    return [
+      new Date(entry.createdAt).toLocaleString(),
+      entry.customerId ?? "",
+      <Badge key="status" tone={badge.tone}>
+        {badge.label}
+      </Badge>,
+      entry.hasExport ? (
+        <Button
+          key="download"
+          onClick={() => downloadExport(entry.webhookId)}
+          loading={downloading === entry.webhookId}
+        >
+          Download JSON
+        </Button>
+      ) : (
+        entry.error ?? (entry.status === "completed" ? "Erased by a later redact request" : "")
+      ),
+    ];
+  });
+
+  return (
+    <Page>
+      <TitleBar title="Customer data requests" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="p" variant="bodyMd">
+                When a customer asks for their data, Shopify sends the request
+                to every app they have used. This app collects what it keeps
+                about them: favorites, share links, alert settings and history.
+                Download the export and send it to the customer along with the
+                rest of their data.
+              </Text>
+              {downloadError && <Banner tone="critical">{downloadError}</Banner>}
+              {rows.length > 0 ? (
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text"]}
+                  headings={["Received", "Customer ID", "Status", "Export"]}
+                  rows={rows}
+                />
+              ) : (
+                <Text as="p" tone="subdued">
+                  No customer has requested their data yet.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
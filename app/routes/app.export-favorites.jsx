@@ -0,0 +1,18 @@
+import { authenticate } from "../shopify.server";
+import { exportFavoritesCsv } from "../favorites/transfer.server";
+
+// Resource route: GET /app/export-favorites streams every customer's
+// favorites as CSV. Fetched from the import/export page, which has the
+// session token App Bridge adds to same-origin requests.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const date = new Date().toISOString().slice(0, 10);
+
+  return new Response(await exportFavoritesCsv(session.shop), {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="favorites-${date}.csv"`,
+      "Cache-Control": "no-store",
+    },
+  });
+};
@@ -0,0 +1,174 @@
+import { useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DropZone,
+  Layout,
+  Page,
+  Text,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { AdminGraphqlError } from "../admin-graphql.server";
+import {
+  CSV_COLUMNS,
+  MAX_IMPORT_ROWS,
+  importFavoritesCsv,
+} from "../favorites/transfer.server";
+import { download } from "../download";
+
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  return { columns: CSV_COLUMNS, maxRows: MAX_IMPORT_ROWS };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const file = (await request.formData()).get("file");
+
+  if (!file || typeof file === "string") {
+    return { error: "Choose a CSV file to import" };
+  }
+  if (file.size > MAX_IMPORT_BYTES) {
+    return { error: "The file is too large. Split it into files of at most 5 MB." };
+  }
+
+  try {
+    return { report: await importFavoritesCsv(session.shop, await file.text()) };
+  } catch (error) {
+    if (!(error instanceof AdminGraphqlError)) throw error;
+    console.error("[favorites-import] Import failed:", error);
+    return { error: error.message };
+  }
+};
+
+export default function ImportExport() {
+  const { columns, maxRows } = useLoaderData();
+  const fetcher = useFetcher();
+  const [file, setFile] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const isImporting = fetcher.state !== "idle";
+  const report = fetcher.data?.report;
+
+  const exportCsv = async () => {
+    setIsExporting(true);
+    setExportError(null);
+    try {
+      const response = await fetch("/app/export-favorites");
+      if (!response.ok) throw new Error(`Export failed (${response.status})`);
+      download(`favorites-${new Date().toISOString().slice(0, 10)}.csv`, await response.blob());
+    } catch (error) {
+      setExportError(error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const importCsv = () => {
+    const formData = new FormData();
+    formData.append("file", file);
+    fetcher.submit(formData, { method: "POST", encType: "multipart/form-data" });
+  };
+
+  return (
+    <Page>
+      <TitleBar title="Import and export" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Export favorites
+              </Text>
+              <Text as="p" variant="bodyMd">
+                Download every customer&apos;s favorites as a CSV file with the
+                columns {columns.join(", ")}.
+              </Text>
+              {exportError && <Banner tone="critical">{exportError}</Banner>}
+              <div>
+                <Button onClick={exportCsv} loading={isExporting}>
+                  Export CSV
+                </Button>
+              </div>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Import favorites
+              </Text>
+              <Text as="p" variant="bodyMd">
+                Use the same columns as the export. Each row needs a
+                customer_id or email and a product_id or product_handle; the
+                other columns are optional. Rows are added to the customer&apos;s
+                existing lists, and new list names create lists. At most{" "}
+                {maxRows} rows per file.
+              </Text>
+              <DropZone
+                accept=".csv,text/csv"
+                allowMultiple={false}
+                onDrop={(files) => setFile(files[0] ?? null)}
+              >
+                {file ? (
+                  <Text as="p" alignment="center">
+                    {file.name}
+                  </Text>
+                ) : (
+                  <DropZone.FileUpload actionHint="Accepts .csv" />
+                )}
+              </DropZone>
+              <div>
+                <Button
+                  variant="primary"
+                  disabled={!file}
+                  loading={isImporting}
+                  onClick={importCsv}
+                >
+                  Import CSV
+                </Button>
+              </div>
+              {fetcher.data?.error && (
+                <Banner tone="critical">{fetcher.data.error}</Banner>
+              )}
+              {report?.error && <Banner tone="critical">{report.error}</Banner>}
+              {report && !report.error && (
+                <Banner tone={report.rejected > 0 ? "warning" : "success"}>
+                  <BlockStack gap="200">
+                    <Text as="p">
+                      Read {report.rows} rows: imported {report.imported} favorites
+                      for {report.customersUpdated} customers, skipped{" "}
+                      {report.duplicates} already saved, rejected {report.rejected}.
+                    </Text>
+                    {report.errorReport && (
+                      <div>
+                        <Button
+                          onClick={() =>
+                            download(
+                              "favorites-import-errors.csv",
+                              new Blob([report.errorReport], { type: "text/csv" }),
+                            )
+                          }
+                        >
+                          Download error report
+                        </Button>
+                      </div>
+                    )}
+                  </BlockStack>
+                </Banner>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
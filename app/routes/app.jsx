@@ -9,85 +9,20 @@ import { AppProvider } from "@shopify/shopify-app-remix/react";
 import { NavMenu } from "@shopify/app-bridge-react";
 import polarisStyles from "@shopify/polaris/build/esm/styles.css?url";
 import { authenticate } from "../shopify.server";
+import { getStorage } from "../favorites/storage.server";
 
 export const links = () => [{ rel: "stylesheet", href: polarisStyles }];
 
 export const loader = async ({ request }) => {
-  const { admin, session } = await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
   const accessToken = session.accessToken;
 
-  // --- 1. Ensure customer metafield definition exists ---
+  // --- 1. Set up the shop's favorites storage (e.g. the metafield definition) ---
   try {
-    const checkResponse = await admin.graphql(`
-      query {
-        metafieldDefinitions(namespace: "favorite", ownerType: CUSTOMER, first: 1) {
-          edges {
-            node {
-              id
-              name
-              key
-            }
-          }
-        }
-      }
-    `);
-
-    const { data: checkData, errors: checkErrors } = await checkResponse.json();
-
-    const existingDefinitions = checkData?.metafieldDefinitions?.edges || [];
-    const alreadyExists = existingDefinitions.some(
-      (edge) => edge.node.key === "favorite_products"
-    );
-
-    if (!alreadyExists) {
-      console.log("Creating customer metafield definition...");
-
-      const createResponse = await admin.graphql(
-        `
-        mutation CreateMetafieldDefinition($definition: MetafieldDefinitionInput!) {
-          metafieldDefinitionCreate(definition: $definition) {
-            createdDefinition {
-              id
-              name
-            }
-            userErrors {
-              field
-              message
-              code
-            }
-          }
-        }
-      `,
-        {
-          variables: {
-            definition: {
-              name: "Favorite Products",
-              namespace: "favorite",
-              key: "favorite_products",
-              description: "A list of favorite products.",
-              type: "multi_line_text_field",
-              ownerType: "CUSTOMER",
-            },
-          },
-        }
-      );
-
-      const { data: createData, errors: createErrors } = await createResponse.json();
-      const userErrors = createData?.metafieldDefinitionCreate?.userErrors || [];
-
-      if (createErrors?.length || userErrors.length) {
-        console.error("Failed to create metafield definition:", {
-          createErrors,
-          userErrors,
-        });
-      } else {
-        console.log("✅ Metafield definition created:", createData?.metafieldDefinitionCreate?.createdDefinition);
-      }
-    } else {
-      console.log("✅ Metafield definition already exists.");
-    }
+    const storage = await getStorage(session.shop);
+    await storage.prepare(session.shop);
   } catch (err) {
-    console.error("❌ Error checking/creating metafield definition:", err);
+    console.error("❌ Error preparing favorites storage:", err);
   }
 
   // --- 2. Register ScriptTag using GraphQL ---
@@ -105,8 +40,12 @@ export default function App() {
   return (
     <AppProvider isEmbeddedApp apiKey={apiKey}>
       <NavMenu>
-        <Link to="/app" rel="home">Home</Link>
-        <Link to="/app/additional">Additional Page</Link>
+        <Link to="/app" rel="home">Dashboard</Link>
+        <Link to="/app/customers">Customers</Link>
+        <Link to="/app/import-export">Import and export</Link>
+        <Link to="/app/migrate-favorites">Migrate favorites</Link>
+        <Link to="/app/data-requests">Data requests</Link>
+        <Link to="/app/settings">Settings</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
@@ -0,0 +1,315 @@
+import { useEffect } from "react";
+import { useFetcher, useLoaderData, useRevalidator } from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  DataTable,
+  InlineStack,
+  Layout,
+  Page,
+  Text,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getMigrationJobs,
+  resumeMigrationJob,
+  startMigrationJob,
+} from "../favorites/migrations.server";
+import {
+  getReconcileJobs,
+  resumeReconcileJob,
+  startReconcileJob,
+} from "../favorites/reconcile.server";
+
+const POLL_INTERVAL_MS = 2000;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [migrationJobs, jobs] = await Promise.all([
+    getMigrationJobs(session.shop),
+    getReconcileJobs(session.shop),
+  ]);
+  return { migrationJobs, jobs };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const intent = formData.get("intent");
+
+  switch (intent) {
+    case "migrate": {
+      const job = await startMigrationJob(session.shop);
+      return job ? { job } : { error: "A migration is already running" };
+    }
+    case "resume-migration": {
+      const job = await resumeMigrationJob(session.shop, formData.get("jobId"));
+      return job ? { job } : { error: "This migration cannot be resumed" };
+    }
+    case "reconcile": {
+      const job = await startReconcileJob(session.shop, {
+        dryRun: formData.get("dryRun") === "true",
+      });
+      return job ? { job } : { error: "A merge is already running" };
+    }
+    case "resume-reconcile": {
+      const job = await resumeReconcileJob(session.shop, formData.get("jobId"));
+      return job ? { job } : { error: "This merge cannot be resumed" };
+    }
+    default:
+      return { error: `Unknown action: ${intent}` };
+  }
+};
+
+const STATUS_TONES = {
+  running: "info",
+  completed: "success",
+  failed: "critical",
+  interrupted: "warning",
+};
+
+// Refreshes progress while a job is running.
+function useJobPolling(isRunning) {
+  const revalidator = useRevalidator();
+
+  useEffect(() => {
+    if (!isRunning) return;
+    const timer = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isRunning, revalidator]);
+}
+
+function UnresolvedHandles({ progress }) {
+  if (!(progress?.unresolvedCount > 0)) return null;
+
+  return (
+    <>
+      <Banner tone="warning">
+        {progress.unresolvedCount} saved handles no longer match a product.
+        They are kept as they are.
+        {progress.unresolvedHandles.length < progress.unresolvedCount &&
+          ` The first ${progress.unresolvedHandles.length} are listed below.`}
+      </Banner>
+      <DataTable
+        columnContentTypes={["text", "text"]}
+        headings={["Customer", "Handle"]}
+        rows={progress.unresolvedHandles.map(({ customerId, handle }) => [
+          customerId.replace("gid://shopify/Customer/", ""),
+          handle,
+        ])}
+      />
+    </>
+  );
+}
+
+function MigrationJobs({ jobs }) {
+  const fetcher = useFetcher();
+  const isRunning = jobs.some((job) => job.status === "running");
+  const [latest] = jobs;
+  useJobPolling(isRunning);
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h2" variant="headingMd">
+          Convert saved handles to product IDs
+        </Text>
+        <Text as="p" variant="bodyMd">
+          Older favorites are stored as a plain list of product handles, which
+          break when a product is renamed. This converts every customer&apos;s
+          list to structured entries keyed by product ID. It runs in the
+          background and is safe to run more than once.
+        </Text>
+        {fetcher.data?.error && (
+          <Banner tone="critical">{fetcher.data.error}</Banner>
+        )}
+        <div>
+          <Button
+            variant="primary"
+            onClick={() => fetcher.submit({ intent: "migrate" }, { method: "POST" })}
+            disabled={isRunning}
+            loading={fetcher.state !== "idle"}
+          >
+            Run migration
+          </Button>
+        </div>
+        {jobs.length > 0 && (
+          <DataTable
+            columnContentTypes={["text", "text", "numeric", "numeric", "numeric", "text"]}
+            headings={["Started", "Status", "Scanned", "Updated", "Unmatched", ""]}
+            rows={jobs.map((job) => [
+              new Date(job.createdAt).toLocaleString(),
+              <Badge key="status" tone={STATUS_TONES[job.status]}>
+                {job.status}
+              </Badge>,
+              job.progress.customersScanned ?? 0,
+              job.progress.customersUpdated ?? 0,
+              job.progress.unresolvedCount ?? 0,
+              ["failed", "interrupted"].includes(job.status) && !isRunning ? (
+                <Button
+                  key="resume"
+                  variant="plain"
+                  onClick={() =>
+                    fetcher.submit(
+                      { intent: "resume-migration", jobId: job.id },
+                      { method: "POST" },
+                    )
+                  }
+                >
+                  Resume
+                </Button>
+              ) : (
+                ""
+              ),
+            ])}
+          />
+        )}
+        {latest?.progress.skipped && (
+          <Banner tone="info">
+            Favorites are not stored in customer metafields, so there is
+            nothing to convert.
+          </Banner>
+        )}
+        {latest?.error && (
+          <Banner tone="critical">Last run failed: {latest.error}</Banner>
+        )}
+        <UnresolvedHandles progress={latest?.progress} />
+      </BlockStack>
+    </Card>
+  );
+}
+
+function ReconcileJobs({ jobs }) {
+  const fetcher = useFetcher();
+  const isRunning = jobs.some((job) => job.status === "running");
+  const [latest] = jobs;
+  // Merging is offered once a dry run has shown what it would change.
+  const hasDryRun = jobs.some(
+    (job) => job.options.dryRun && job.status === "completed",
+  );
+  useJobPolling(isRunning);
+
+  const start = (dryRun) =>
+    fetcher.submit(
+      { intent: "reconcile", dryRun: String(dryRun) },
+      { method: "POST" },
+    );
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h2" variant="headingMd">
+          Merge favorites from the old namespace
+        </Text>
+        <Text as="p" variant="bodyMd">
+          Some customers have favorites saved under both the
+          &quot;favorite&quot; and the &quot;favorites&quot; metafield
+          namespace. This moves the second list into the customer&apos;s default
+          list, skipping products they already saved, and deletes the old
+          metafield. Start with a dry run to see what would change.
+        </Text>
+        {fetcher.data?.error && (
+          <Banner tone="critical">{fetcher.data.error}</Banner>
+        )}
+        <InlineStack gap="200">
+          <Button
+            onClick={() => start(true)}
+            disabled={isRunning}
+            loading={fetcher.state !== "idle"}
+          >
+            Dry run
+          </Button>
+          <Button
+            variant="primary"
+            onClick={() => start(false)}
+            disabled={isRunning || !hasDryRun}
+            loading={fetcher.state !== "idle"}
+          >
+            Merge
+          </Button>
+        </InlineStack>
+        {jobs.length > 0 && (
+          <DataTable
+            columnContentTypes={[
+              "text",
+              "text",
+              "text",
+              "numeric",
+              "numeric",
+              "numeric",
+              "numeric",
+              "text",
+            ]}
+            headings={[
+              "Started",
+              "Kind",
+              "Status",
+              "Scanned",
+              "With old list",
+              "Added",
+              "Duplicates",
+              "",
+            ]}
+            rows={jobs.map((job) => [
+              new Date(job.createdAt).toLocaleString(),
+              job.options.dryRun ? "Dry run" : "Merge",
+              <Badge key="status" tone={STATUS_TONES[job.status]}>
+                {job.status}
+              </Badge>,
+              job.progress.customersScanned ?? 0,
+              job.progress.customersWithStray ?? 0,
+              job.progress.entriesAdded ?? 0,
+              job.progress.duplicates ?? 0,
+              ["failed", "interrupted"].includes(job.status) && !isRunning ? (
+                <Button
+                  key="resume"
+                  variant="plain"
+                  onClick={() =>
+                    fetcher.submit(
+                      { intent: "resume-reconcile", jobId: job.id },
+                      { method: "POST" },
+                    )
+                  }
+                >
+                  Resume
+                </Button>
+              ) : (
+                ""
+              ),
+            ])}
+          />
+        )}
+        {latest?.error && (
+          <Banner tone="critical">Last run failed: {latest.error}</Banner>
+        )}
+        <UnresolvedHandles progress={latest?.progress} />
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function MigrateFavorites() {
+  const { migrationJobs, jobs } = useLoaderData();
+
+  return (
+    <Page>
+      <TitleBar title="Migrate favorites" />
+      <Layout>
+        <Layout.Section>
+          <MigrationJobs jobs={migrationJobs} />
+        </Layout.Section>
+        <Layout.Section>
+          <ReconcileJobs jobs={jobs} />
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,412 @@
+import { useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  Checkbox,
+  ChoiceList,
+  Layout,
+  List,
+  Page,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getShopSettings, updateShopSettings } from "../settings.server";
+import { STORAGE_BACKENDS, findStorage } from "../favorites/storage.server";
+import { LEGACY_FAVORITES_KEY } from "../favorites/storage/metafields.server";
+import { PURGED_DATA, PURGE_GRACE_HOURS } from "../shop-purge.server";
+
+// Whole-number settings and their allowed range.
+const NUMBER_FIELDS = {
+  // Keeps a customer's favorites metafield well inside Shopify's size limit.
+  maxFavorites: [1, 500],
+  maxLists: [1, 50],
+  guestTtlDays: [1, 365],
+  priceDropThreshold: [1, 99],
+  // A year.
+  alertDedupHours: [1, 8760],
+  // Requests per minute.
+  shopperRateLimit: [1, 10000],
+  shopRateLimit: [1, 100000],
+};
+const BOOLEAN_FIELDS = ["guestFavoritesEnabled", "alertsEnabled"];
+const TEXT_FIELDS = ["addLabel", "removeLabel", "emptyMessage", "errorMessage"];
+const MAX_TEXT_LENGTH = 200;
+
+// Shopify's rules for metafield namespaces and keys.
+const NAMESPACE_PATTERN = /^[a-zA-Z0-9_-]{3,255}$/;
+const KEY_PATTERN = /^[a-zA-Z0-9_-]{2,64}$/;
+
+const EDITABLE_FIELDS = [
+  "storageBackend",
+  "metafieldNamespace",
+  "metafieldKey",
+  ...Object.keys(NUMBER_FIELDS),
+  ...BOOLEAN_FIELDS,
+  ...TEXT_FIELDS,
+];
+
+function pick(settings) {
+  return Object.fromEntries(EDITABLE_FIELDS.map((field) => [field, settings[field]]));
+}
+
+// Returns `{ changes }` ready for updateShopSettings, or `{ errors }` by field.
+function parseSettings(formData) {
+  const errors = {};
+  const changes = {};
+
+  const storage = findStorage(formData.get("storageBackend"));
+  if (!storage) errors.storageBackend = "Choose a storage backend";
+  changes.storageBackend = storage?.name;
+
+  changes.metafieldNamespace = String(formData.get("metafieldNamespace") ?? "").trim();
+  if (!NAMESPACE_PATTERN.test(changes.metafieldNamespace)) {
+    errors.metafieldNamespace = "Use 3 to 255 letters, numbers, hyphens or underscores";
+  }
+
+  changes.metafieldKey = String(formData.get("metafieldKey") ?? "").trim();
+  if (!KEY_PATTERN.test(changes.metafieldKey)) {
+    errors.metafieldKey = "Use 2 to 64 letters, numbers, hyphens or underscores";
+  } else if (changes.metafieldKey === LEGACY_FAVORITES_KEY) {
+    errors.metafieldKey = `${LEGACY_FAVORITES_KEY} is used by the old favorites format`;
+  }
+
+  for (const [field, [min, max]] of Object.entries(NUMBER_FIELDS)) {
+    const value = Number(formData.get(field));
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors[field] = `Enter a whole number from ${min} to ${max}`;
+    }
+    changes[field] = value;
+  }
+  if (!errors.shopRateLimit && changes.shopRateLimit < changes.shopperRateLimit) {
+    errors.shopRateLimit = "Must be at least the limit per shopper";
+  }
+
+  for (const field of BOOLEAN_FIELDS) {
+    changes[field] = formData.get(field) === "true";
+  }
+
+  for (const field of TEXT_FIELDS) {
+    changes[field] = String(formData.get(field) ?? "").trim();
+    if (!changes[field]) {
+      errors[field] = "Enter some text";
+    } else if (changes[field].length > MAX_TEXT_LENGTH) {
+      errors[field] = `Use at most ${MAX_TEXT_LENGTH} characters`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) return { errors };
+  return { storage, changes };
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const settings = await getShopSettings(session.shop);
+
+  return {
+    settings: pick(settings),
+    backends: STORAGE_BACKENDS.map(({ name, label }) => ({ name, label })),
+    purge: { graceHours: PURGE_GRACE_HOURS, data: PURGED_DATA },
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const { storage, changes, errors } = parseSettings(await request.formData());
+
+  if (errors) {
+    return { errors };
+  }
+
+  // After saving, since the metafield definition follows the saved namespace.
+  const settings = await updateShopSettings(session.shop, changes);
+  console.log(`[settings] Saved settings for ${session.shop}:`, changes);
+
+  // The settings are saved either way, so a failure here is only a warning.
+  let prepareError = null;
+  try {
+    await storage.prepare(session.shop);
+  } catch (error) {
+    console.error(`[settings] Could not prepare ${storage.name} storage for ${session.shop}:`, error);
+    prepareError = `${storage.label} could not be set up. Favorites may not save until you try again.`;
+  }
+
+  return { saved: true, settings: pick(settings), prepareError };
+};
+
+export default function Settings() {
+  const { settings, backends, purge } = useLoaderData();
+  const fetcher = useFetcher();
+  const [form, setForm] = useState({
+    ...settings,
+    ...Object.fromEntries(
+      Object.keys(NUMBER_FIELDS).map((field) => [field, String(settings[field])]),
+    ),
+  });
+  const errors = fetcher.data?.errors ?? {};
+  const isSaving = fetcher.state !== "idle";
+  const update = (field) => (value) => setForm((current) => ({ ...current, [field]: value }));
+
+  return (
+    <Page>
+      <TitleBar title="Settings" />
+      <Layout>
+        {fetcher.data?.saved && (
+          <Layout.Section>
+            <Banner tone="success">Settings saved.</Banner>
+          </Layout.Section>
+        )}
+        {fetcher.data?.prepareError && (
+          <Layout.Section>
+            <Banner tone="warning">{fetcher.data.prepareError}</Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Favorites storage
+              </Text>
+              <Text as="p" variant="bodyMd">
+                Customer metafields keep favorites on the customer record, but
+                need protected customer data approval. The app database works
+                without it. Favorites are not copied when you switch, so
+                customers start with empty lists in the new location.
+              </Text>
+              <ChoiceList
+                title="Store favorites in"
+                choices={backends.map(({ name, label }) => ({ label, value: name }))}
+                selected={[form.storageBackend]}
+                onChange={([value]) => update("storageBackend")(value)}
+                error={errors.storageBackend}
+              />
+              {form.storageBackend === "metafields" && (
+                <>
+                  <TextField
+                    label="Metafield namespace"
+                    autoComplete="off"
+                    value={form.metafieldNamespace}
+                    onChange={update("metafieldNamespace")}
+                    error={errors.metafieldNamespace}
+                  />
+                  <TextField
+                    label="Metafield key"
+                    autoComplete="off"
+                    value={form.metafieldKey}
+                    onChange={update("metafieldKey")}
+                    error={errors.metafieldKey}
+                    helpText="Themes and other apps read favorites from customer.metafields.<namespace>.<key>."
+                  />
+                  {(form.metafieldNamespace !== settings.metafieldNamespace ||
+                    form.metafieldKey !== settings.metafieldKey) && (
+                    <Banner tone="warning">
+                      Favorites are not copied to the new metafield, so
+                      customers start with empty lists there.
+                    </Banner>
+                  )}
+                </>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Limits
+              </Text>
+              <TextField
+                label="Favorites per customer"
+                type="number"
+                autoComplete="off"
+                value={form.maxFavorites}
+                onChange={update("maxFavorites")}
+                error={errors.maxFavorites}
+                helpText="Across all of a customer's lists."
+              />
+              <TextField
+                label="Lists per customer"
+                type="number"
+                autoComplete="off"
+                value={form.maxLists}
+                onChange={update("maxLists")}
+                error={errors.maxLists}
+                helpText="Including the default list."
+              />
+              <Checkbox
+                label="Let logged-out shoppers save favorites"
+                helpText="Their favorites move to their account when they log in. When this is off, the favorite button asks them to log in."
+                checked={form.guestFavoritesEnabled}
+                onChange={update("guestFavoritesEnabled")}
+              />
+              <TextField
+                label="Days to keep a logged-out shopper's favorites"
+                type="number"
+                autoComplete="off"
+                value={form.guestTtlDays}
+                onChange={update("guestTtlDays")}
+                error={errors.guestTtlDays}
+                helpText="Counted from their last change."
+                disabled={!form.guestFavoritesEnabled}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Restock and price-drop alerts
+              </Text>
+              <Text as="p" variant="bodyMd">
+                Email customers when a product they favorited is back in stock
+                or gets cheaper. Customers can turn these emails off.
+              </Text>
+              <Checkbox
+                label="Send alerts"
+                checked={form.alertsEnabled}
+                onChange={update("alertsEnabled")}
+              />
+              <TextField
+                label="Minimum price drop"
+                type="number"
+                suffix="%"
+                autoComplete="off"
+                value={form.priceDropThreshold}
+                onChange={update("priceDropThreshold")}
+                error={errors.priceDropThreshold}
+                disabled={!form.alertsEnabled}
+              />
+              <TextField
+                label="Hours before the same alert can be sent again"
+                type="number"
+                autoComplete="off"
+                value={form.alertDedupHours}
+                onChange={update("alertDedupHours")}
+                error={errors.alertDedupHours}
+                disabled={!form.alertsEnabled}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Storefront text
+              </Text>
+              <Text as="p" variant="bodyMd">
+                Used by the Favorite button and My favorites theme blocks
+                wherever the block&apos;s own text is left empty.
+              </Text>
+              <TextField
+                label="Add label"
+                autoComplete="off"
+                value={form.addLabel}
+                onChange={update("addLabel")}
+                error={errors.addLabel}
+              />
+              <TextField
+                label="Remove label"
+                autoComplete="off"
+                value={form.removeLabel}
+                onChange={update("removeLabel")}
+                error={errors.removeLabel}
+              />
+              <TextField
+                label="Message when there are no favorites"
+                autoComplete="off"
+                value={form.emptyMessage}
+                onChange={update("emptyMessage")}
+                error={errors.emptyMessage}
+              />
+              <TextField
+                label="Error message"
+                autoComplete="off"
+                value={form.errorMessage}
+                onChange={update("errorMessage")}
+                error={errors.errorMessage}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Storefront rate limits
+              </Text>
+              <Text as="p" variant="bodyMd">
+                Each favorites request from your storefront uses some of your
+                store&apos;s Admin API allowance. Shoppers who go over these
+                limits are asked to wait a moment; short bursts are allowed.
+              </Text>
+              <TextField
+                label="Requests per minute from one shopper"
+                type="number"
+                autoComplete="off"
+                value={form.shopperRateLimit}
+                onChange={update("shopperRateLimit")}
+                error={errors.shopperRateLimit}
+                helpText="Counted per logged-in customer, or per IP address for guests."
+              />
+              <TextField
+                label="Requests per minute from all shoppers together"
+                type="number"
+                autoComplete="off"
+                value={form.shopRateLimit}
+                onChange={update("shopRateLimit")}
+                error={errors.shopRateLimit}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                If you uninstall the app
+              </Text>
+              <Text as="p" variant="bodyMd">
+                {purge.graceHours} hours after you uninstall, the app deletes
+                everything it keeps for your store:
+              </Text>
+              <List>
+                {purge.data.map((item) => (
+                  <List.Item key={item}>{item}</List.Item>
+                ))}
+              </List>
+              <Text as="p" variant="bodyMd">
+                Reinstall before then and nothing is deleted. Favorites saved
+                in customer metafields stay on your customers either way.
+              </Text>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <Button
+            variant="primary"
+            loading={isSaving}
+            onClick={() =>
+              fetcher.submit(
+                {
+                  ...form,
+                  ...Object.fromEntries(
+                    BOOLEAN_FIELDS.map((field) => [field, String(form[field])]),
+                  ),
+                },
+                { method: "POST" },
+              )
+            }
+          >
+            Save
+          </Button>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
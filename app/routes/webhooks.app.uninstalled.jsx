@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { scheduleShopPurge } from "../shop-purge.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +13,8 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Everything else is kept for a grace period in case the shop comes back.
+  await scheduleShopPurge(shop);
+
   return new Response();
 };
@@ -0,0 +1,23 @@
+import { authenticate } from "../shopify.server";
+import { toCustomerGid } from "../proxy.server";
+import {
+  exportCustomerData,
+  handleComplianceWebhook,
+} from "../compliance.server";
+
+// The export is kept in the compliance log; the app has no channel to the
+// customer, so the merchant downloads it from the Data requests page and passes
+// it on.
+export const action = async ({ request }) => {
+  const { payload, topic, shop, webhookId } =
+    await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const customerId = toCustomerGid(payload.customer.id);
+  await handleComplianceWebhook({ webhookId, shop, topic, customerId }, () =>
+    exportCustomerData(shop, customerId),
+  );
+
+  return new Response();
+};
@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { toCustomerGid } from "../proxy.server";
+import {
+  handleComplianceWebhook,
+  scheduleCustomerErasure,
+} from "../compliance.server";
+
+// Erasure is delayed in case this customer was merged away and the merge
+// webhook has not been handled yet; see ERASE_DELAY_HOURS.
+export const action = async ({ request }) => {
+  const { payload, topic, shop, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const customerId = toCustomerGid(payload.id);
+  await handleComplianceWebhook({ webhookId, shop, topic, customerId }, () =>
+    scheduleCustomerErasure(shop, customerId),
+  );
+
+  return new Response();
+};
@@ -0,0 +1,22 @@
+import { authenticate } from "../shopify.server";
+import { handleComplianceWebhook } from "../compliance.server";
+import { mergeCustomerFavorites } from "../favorites/customer-merge.server";
+
+// Sent when a merge finishes, successfully or not.
+export const action = async ({ request }) => {
+  const { payload, topic, shop, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const keptId = payload.admin_graphql_api_customer_kept_id;
+  const deletedId = payload.admin_graphql_api_customer_deleted_id;
+  if (String(payload.status).toLowerCase() === "failed" || !keptId || !deletedId) {
+    return new Response();
+  }
+
+  await handleComplianceWebhook({ webhookId, shop, topic, customerId: deletedId }, () =>
+    mergeCustomerFavorites(shop, keptId, deletedId),
+  );
+
+  return new Response();
+};
@@ -0,0 +1,20 @@
+import { authenticate } from "../shopify.server";
+import { toCustomerGid } from "../proxy.server";
+import {
+  eraseCustomerData,
+  handleComplianceWebhook,
+} from "../compliance.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop, webhookId } =
+    await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const customerId = toCustomerGid(payload.customer.id);
+  await handleComplianceWebhook({ webhookId, shop, topic, customerId }, () =>
+    eraseCustomerData(shop, customerId),
+  );
+
+  return new Response();
+};
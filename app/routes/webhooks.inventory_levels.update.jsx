@@ -0,0 +1,62 @@
+import { authenticate } from "../shopify.server";
+import { adminGraphql } from "../admin-graphql.server";
+import { processProductUpdate } from "../alerts/alerts.server";
+import { deliverInBackground } from "../alerts/delivery.server";
+import { isInventoryItemTracked } from "../alerts/snapshots.server";
+
+const INVENTORY_ITEM_VARIANT_QUERY = `#graphql
+  query inventoryItemVariant($id: ID!) {
+    inventoryItem(id: $id) {
+      variant {
+        id
+        title
+        price
+        availableForSale
+        product {
+          id
+          title
+          handle
+          status
+        }
+      }
+    }
+  }
+`;
+
+// The payload only has the level at one location, so the variant's overall
+// availability is looked up, but only for inventory items of tracked products.
+// Those have a snapshot from products/update, which also fires on most stock
+// changes; without one there would be nothing to compare with anyway.
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const inventoryItemId = `gid://shopify/InventoryItem/${payload.inventory_item_id}`;
+  if (!(await isInventoryItemTracked(shop, inventoryItemId))) return new Response();
+
+  const data = await adminGraphql(shop, INVENTORY_ITEM_VARIANT_QUERY, {
+    variables: { id: inventoryItemId },
+  });
+  const variant = data.inventoryItem?.variant;
+  if (!variant) return new Response();
+
+  const queued = await processProductUpdate(shop, {
+    productId: variant.product.id,
+    title: variant.product.title,
+    handle: variant.product.handle,
+    status: variant.product.status,
+    variants: [
+      {
+        variantId: variant.id,
+        inventoryItemId,
+        title: variant.title,
+        price: variant.price,
+        available: variant.availableForSale,
+      },
+    ],
+  });
+  if (queued > 0) deliverInBackground(shop);
+
+  return new Response();
+};
@@ -0,0 +1,51 @@
+import { authenticate } from "../shopify.server";
+import { syncProductHandle } from "../favorites/products.server";
+import { processProductUpdate } from "../alerts/alerts.server";
+import { deliverInBackground } from "../alerts/delivery.server";
+
+// Mirrors the availability rules of the Admin API's `availableForSale`.
+function isAvailable(variant) {
+  return (
+    variant.inventory_management !== "shopify" ||
+    variant.inventory_policy === "continue" ||
+    variant.inventory_quantity > 0
+  );
+}
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (payload.admin_graphql_api_id && payload.handle) {
+    const changed = await syncProductHandle(
+      shop,
+      payload.admin_graphql_api_id,
+      payload.handle,
+    );
+    if (changed) {
+      console.log(`Updated cached handle for ${payload.admin_graphql_api_id} to ${payload.handle}`);
+    }
+  }
+
+  if (payload.admin_graphql_api_id && Array.isArray(payload.variants)) {
+    const queued = await processProductUpdate(shop, {
+      productId: payload.admin_graphql_api_id,
+      title: payload.title,
+      handle: payload.handle,
+      status: String(payload.status).toUpperCase(),
+      variants: payload.variants.map((variant) => ({
+        variantId: variant.admin_graphql_api_id,
+        inventoryItemId: variant.inventory_item_id
+          ? `gid://shopify/InventoryItem/${variant.inventory_item_id}`
+          : null,
+        title: variant.title,
+        price: variant.price,
+        available: isAvailable(variant),
+      })),
+    });
+    if (queued > 0) deliverInBackground(shop);
+  }
+
+  return new Response();
+};
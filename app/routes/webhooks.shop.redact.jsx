@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { handleComplianceWebhook } from "../compliance.server";
+import { eraseShopData } from "../shop-purge.server";
+
+export const action = async ({ request }) => {
+  const { topic, shop, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await handleComplianceWebhook({ webhookId, shop, topic }, () =>
+    eraseShopData(shop),
+  );
+
+  return new Response();
+};
@@ -0,0 +1,37 @@
+import db from "./db.server";
+
+// Used for shops that have never saved settings. Keep in sync with the
+// @default values on the ShopSettings model.
+export const DEFAULT_SETTINGS = {
+  maxLists: 10,
+  maxFavorites: 200,
+  guestFavoritesEnabled: true,
+  guestTtlDays: 30,
+  storageBackend: "metafields",
+  metafieldNamespace: "favorite",
+  metafieldKey: "favorite_entries",
+  alertsEnabled: false,
+  priceDropThreshold: 10,
+  alertDedupHours: 72,
+  shopperRateLimit: 60,
+  shopRateLimit: 600,
+  addLabel: "Add to favorites",
+  removeLabel: "Remove from favorites",
+  emptyMessage: "You haven't saved any favorites yet.",
+  errorMessage: "Could not update your favorites. Please try again.",
+};
+
+export async function getShopSettings(shop) {
+  const settings = await db.shopSettings.findUnique({ where: { shop } });
+  return { ...DEFAULT_SETTINGS, ...settings, shop };
+}
+
+// `changes` is a subset of the ShopSettings columns, already validated.
+export async function updateShopSettings(shop, changes) {
+  const settings = await db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...changes },
+    update: changes,
+  });
+  return { ...DEFAULT_SETTINGS, ...settings };
+}
@@ -0,0 +1,117 @@
+import db from "./db.server";
+
+// When a shop uninstalls, its data is kept for PURGE_GRACE_HOURS and then
+// deleted. Reinstalling within that window cancels the purge, so the shop
+// comes back to its favorites, settings and history as it left them. The
+// window matches Shopify's shop/redact, which arrives 48 hours after
+// uninstall and erases the same data; the purge covers shops where it never
+// does, such as development stores.
+export const PURGE_GRACE_HOURS = 48;
+
+// Everything the app keeps about a shop, by Prisma model. Favorites saved to
+// customer metafields live in Shopify and are not touched.
+const SHOP_TABLES = [
+  "customerFavorites",
+  "guestFavorite",
+  "shareLink",
+  "favoriteIndex",
+  "favoriteEvent",
+  "favoriteAuditLog",
+  "alertOptOut",
+  "notification",
+  "variantSnapshot",
+  "productHandle",
+  "missingProduct",
+  "backgroundJob",
+  "idempotencyRecord",
+  "customerErasure",
+  "rateLimitBucket",
+  "shopSettings",
+  "session",
+];
+
+// What the admin notice lists as deleted on purge.
+export const PURGED_DATA = [
+  "favorites saved in the app database, including guest favorites",
+  "share links",
+  "dashboard history and staff change log",
+  "alert opt-outs and queued alert emails",
+  "app settings",
+];
+
+// Deletes every row the app keeps for the shop, clears any customer data
+// exports from the compliance log and settles a pending purge. Used by the
+// purge and by shop/redact. Returns the number of rows per table.
+export async function eraseShopData(shop) {
+  const counts = await db.$transaction([
+    ...SHOP_TABLES.map((table) => db[table].deleteMany({ where: { shop } })),
+    db.complianceRequest.updateMany({
+      where: { shop, result: { not: null } },
+      data: { result: null },
+    }),
+    db.shopPurge.updateMany({
+      where: { shop, cancelledAt: null, purgedAt: null },
+      data: { purgedAt: new Date() },
+    }),
+  ]);
+
+  return {
+    rows: Object.fromEntries(SHOP_TABLES.map((table, i) => [table, counts[i].count])),
+  };
+}
+
+// Uninstall webhooks can be delivered more than once; a purge that is
+// already pending keeps its original date.
+export async function scheduleShopPurge(shop) {
+  const existing = await db.shopPurge.findUnique({ where: { shop } });
+  if (existing && !existing.cancelledAt && !existing.purgedAt) return;
+
+  const uninstalledAt = new Date();
+  const scheduledFor = new Date(uninstalledAt.getTime() + PURGE_GRACE_HOURS * 60 * 60 * 1000);
+
+  await db.shopPurge.upsert({
+    where: { shop },
+    create: { shop, uninstalledAt, scheduledFor },
+    update: { uninstalledAt, scheduledFor, cancelledAt: null, purgedAt: null },
+  });
+  console.log(`[shop-purge] ${shop} will be purged at ${scheduledFor.toISOString()}`);
+}
+
+// Called on every install. Returns true when a pending purge was cancelled.
+export async function cancelShopPurge(shop) {
+  const { count } = await db.shopPurge.updateMany({
+    where: { shop, cancelledAt: null, purgedAt: null },
+    data: { cancelledAt: new Date() },
+  });
+  if (count > 0) console.log(`[shop-purge] Reinstalled, purge of ${shop} cancelled`);
+  return count > 0;
+}
+
+// The shop's last uninstall, if it reinstalled within the grace period in the
+// last `withinDays` days.
+export function getRecentRestore(shop, { withinDays = 7 } = {}) {
+  return db.shopPurge.findFirst({
+    where: {
+      shop,
+      cancelledAt: { gte: new Date(Date.now() - withinDays * 24 * 60 * 60 * 1000) },
+    },
+  });
+}
+
+// Purges every shop whose grace period is over. Runs from the periodic sweep in
+// app/maintenance.server.js, so purges happen a little late rather than on the
+// hour, and without any shop having to visit the app.
+export async function runDuePurges() {
+  const due = await db.shopPurge.findMany({
+    where: { scheduledFor: { lte: new Date() }, cancelledAt: null, purgedAt: null },
+  });
+
+  for (const { shop } of due) {
+    try {
+      const { rows } = await eraseShopData(shop);
+      console.log(`[shop-purge] Purged ${shop}:`, rows);
+    } catch (error) {
+      console.error(`[shop-purge] Could not purge ${shop}:`, error);
+    }
+  }
+}
@@ -6,6 +6,7 @@ import {
 } from "@shopify/shopify-app-remix/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { cancelShopPurge } from "./shop-purge.server";
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
@@ -16,6 +17,16 @@ const shopify = shopifyApp({
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  // Admin pages get the staff member's own session, so changes they make can
+  // be attributed to them. Offline sessions are still stored for webhooks and
+  // storefront requests.
+  useOnlineTokens: true,
+  hooks: {
+    // A shop that reinstalls within the grace period keeps its data.
+    afterAuth: async ({ session }) => {
+      await cancelShopPurge(session.shop);
+    },
+  },
   future: {
     unstable_newEmbeddedAuthStrategy: true,
   },
@@ -0,0 +1,453 @@
+// Storefront SDK, served through the app proxy as /apps/favorite/sdk.js and
+// exposed as `window.FavApp`. The route prepends `window.FavAppConfig` with the
+// proxy path and the shop's settings. The logged-in customer, if any, is read
+// from the script tag's `data-customer-id`, which the page renders fresh:
+//
+//   <script src="/apps/favorite/sdk.js" data-customer-id="{{ customer.id }}" defer></script>
+//
+//   FavApp.isFavorite(productId, { listId })   -> Promise<boolean>
+//   FavApp.toggle(productId, { listId, variantId, note, source })
+//                                              -> Promise<boolean> (favorited)
+//   FavApp.remove(productId, { listId, variantId })
+//   FavApp.list({ listId })                    -> Promise<entries>
+//   FavApp.count({ listId })                   -> Promise<number>
+//   FavApp.lists()                             -> Promise<lists>
+//   FavApp.getAlertOptOut()                    -> Promise<boolean>
+//   FavApp.setAlertOptOut(optedOut)            -> Promise<boolean>
+//   FavApp.settings                            { canSave, alerts, text }
+//
+// Lists are named by id or by handle; the handle is the same for every
+// customer, so it is what blocks and theme code should use. `lists()` gives
+// the logged-in customer's lists ({ id, handle, name, count, isDefault }).
+// Product ids may be numeric or GIDs. State is cached in localStorage per
+// shopper and list, and isFavorite calls made in the same tick are answered by
+// one request. `favapp:ready` fires on document once the SDK is loaded.
+//
+// `settings.canSave` is false for logged-out shoppers when the shop has turned
+// guest favorites off; nothing is favorited for them and writes are refused.
+// `settings.alerts` is whether the shop sends restock and price-drop emails;
+// logged-in customers can turn them off with setAlertOptOut.
+// `settings.text` is the shop's storefront text (addLabel, removeLabel,
+// emptyMessage, errorMessage) for blocks that do not set their own.
+//
+// Adds and removes are optimistic: the new state is applied and announced at
+// once, and the write goes into a queue kept in localStorage. The queue is
+// sent in order, each write with its own idempotency key so a replay after a
+// lost response is harmless. Network failures and server errors leave the
+// write queued until the connection comes back, and a 429 until its
+// Retry-After has passed; a write the server rejects is dropped and its change
+// rolled back. Writes still queued when a guest logs in are sent for the
+// customer.
+//
+// Every change fires `favapp:change` on document with
+// { productId, listId, favorited, count }, plus `error` when it is a rollback.
+(() => {
+  if (window.FavApp) return;
+
+  const config = window.FavAppConfig ?? {};
+  const CUSTOMER_ID = document.currentScript?.dataset.customerId || null;
+  const PROXY_PATH = config.proxyPath ?? "/apps/favorite";
+  const SHOPPER = CUSTOMER_ID ?? "guest";
+  const CAN_SAVE = Boolean(CUSTOMER_ID) || config.guestFavorites !== false;
+  const GUEST_TOKEN_KEY = "favapp:guest-token";
+  const CACHE_KEY_PREFIX = "favapp:state:";
+  const QUEUE_KEY_PREFIX = "favapp:queue:";
+  const QUEUE_KEY = `${QUEUE_KEY_PREFIX}${SHOPPER}`;
+  const CACHE_TTL_MS = 5 * 60 * 1000;
+  const MAX_RETRY_DELAY_MS = 60 * 1000;
+  const DEFAULT_LIST_ID = "default";
+  const PRODUCT_GID_PREFIX = "gid://shopify/Product/";
+  const VARIANT_GID_PREFIX = "gid://shopify/ProductVariant/";
+  const MAX_BATCH = 250;
+
+  function toGid(prefix, id) {
+    if (id === null || id === undefined || id === "") return null;
+    const value = String(id);
+    return value.startsWith("gid://") ? value : `${prefix}${value}`;
+  }
+
+  function newKey() {
+    return crypto.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  // --- localStorage
+
+  // Private browsing, a full quota or blocked storage make localStorage throw.
+  // Whatever could not be stored is kept in memory for the page instead.
+  const memory = new Map();
+
+  function getItem(key) {
+    if (memory.has(key)) return memory.get(key);
+    try {
+      return localStorage.getItem(key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function setItem(key, value) {
+    try {
+      localStorage.setItem(key, value);
+      memory.delete(key);
+    } catch (error) {
+      memory.set(key, value);
+    }
+  }
+
+  function removeItem(key) {
+    memory.delete(key);
+    try {
+      localStorage.removeItem(key);
+    } catch (error) {
+      // Nothing was stored.
+    }
+  }
+
+  function storedKeys() {
+    try {
+      return [...new Set([...Object.keys(localStorage), ...memory.keys()])];
+    } catch (error) {
+      return [...memory.keys()];
+    }
+  }
+
+  function readJson(key, fallback) {
+    try {
+      return JSON.parse(getItem(key)) ?? fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  function writeJson(key, value) {
+    setItem(key, JSON.stringify(value));
+  }
+
+  // Queued writes: [{ key, type: "add" | "remove", productId, variantId,
+  // listId, note, source, previous }]. `previous` is what to roll back to.
+  function readQueue() {
+    return readJson(QUEUE_KEY, []);
+  }
+
+  function writeQueue(queue) {
+    writeJson(QUEUE_KEY, queue);
+  }
+
+  // Writes queued while logged out are the same shopper's, so after logging in
+  // they are sent as the customer's, ahead of anything newer. They carry the
+  // guest token like every request, so the guest list is merged into the
+  // customer's before they are applied.
+  function adoptGuestQueue() {
+    const guestQueueKey = `${QUEUE_KEY_PREFIX}guest`;
+    if (!CUSTOMER_ID) return;
+    const guestQueue = readJson(guestQueueKey, []);
+    if (guestQueue.length === 0) return;
+    writeQueue([...guestQueue, ...readQueue()]);
+    removeItem(guestQueueKey);
+  }
+
+  // Cached state per list: { favorited: { [productGid]: bool }, count, complete }.
+  // Queued writes are laid over whatever the server last said.
+  function cacheKey(listId) {
+    return `${CACHE_KEY_PREFIX}${SHOPPER}:${listId}`;
+  }
+
+  function readState(listId) {
+    const state = readJson(cacheKey(listId), null);
+    if (state && Date.now() - state.savedAt < CACHE_TTL_MS) return state;
+    return { favorited: {}, count: null, complete: false, savedAt: Date.now() };
+  }
+
+  function writeState(listId, state) {
+    writeJson(cacheKey(listId), { ...state, savedAt: Date.now() });
+  }
+
+  function overlayQueue(listId, state) {
+    for (const op of readQueue()) {
+      if (op.listId === listId) state.favorited[op.productId] = op.type === "add";
+    }
+    return state;
+  }
+
+  function clearStates() {
+    for (const key of storedKeys()) {
+      if (key.startsWith(CACHE_KEY_PREFIX)) removeItem(key);
+    }
+  }
+
+  // --- requests
+
+  // The server said no; sending the same request again will not help.
+  class RejectedError extends Error {}
+
+  async function request(method, body, { path = "favorites", params, idempotencyKey } = {}) {
+    const guestToken = getItem(GUEST_TOKEN_KEY);
+    const init = { method, headers: { Accept: "application/json" } };
+    let url = `${PROXY_PATH}/${path}`;
+
+    if (method === "GET") {
+      const query = new URLSearchParams(params);
+      if (guestToken) query.set("guestToken", guestToken);
+      url += `?${query}`;
+    } else {
+      init.headers["Content-Type"] = "application/json";
+      // In the body, since the app proxy does not pass on custom headers.
+      init.body = JSON.stringify({ ...body, guestToken, idempotencyKey });
+    }
+
+    const response = await fetch(url, init);
+    const data = await response.json().catch(() => ({ success: false }));
+
+    // A new guest token comes back on the first guest save; null means it was
+    // merged into the customer's list, so cached guest state is stale too.
+    if (data.guestToken) {
+      setItem(GUEST_TOKEN_KEY, data.guestToken);
+    } else if (data.guestToken === null) {
+      removeItem(GUEST_TOKEN_KEY);
+      clearStates();
+    }
+
+    if (!data.success) {
+      const message = data.error ?? `Request failed (${response.status})`;
+      const retryable = response.status >= 500 || response.status === 429 || response.status === 409;
+      if (!retryable) throw new RejectedError(message);
+      // Rate limited: the server says when to come back.
+      const retryAfter = Number(response.headers.get("Retry-After"));
+      throw Object.assign(new Error(message), { retryAfterMs: retryAfter * 1000 || 0 });
+    }
+    return data;
+  }
+
+  function emitChange(detail) {
+    document.dispatchEvent(new CustomEvent("favapp:change", { detail }));
+  }
+
+  // --- batched status checks
+
+  const pending = new Map();
+
+  function flush(listId) {
+    const batch = pending.get(listId);
+    pending.delete(listId);
+    const ids = [...batch.keys()];
+
+    for (let i = 0; i < ids.length; i += MAX_BATCH) {
+      const chunk = ids.slice(i, i + MAX_BATCH);
+      request("GET", null, { params: { listId, productIds: chunk.join(",") } })
+        .then((data) => {
+          const state = readState(listId);
+          Object.assign(state.favorited, data.favorited);
+          state.count = data.count;
+          writeState(listId, overlayQueue(listId, state));
+          for (const id of chunk) {
+            batch.get(id).forEach(({ resolve }) => resolve(Boolean(state.favorited[id])));
+          }
+        })
+        .catch((error) => {
+          for (const id of chunk) batch.get(id).forEach(({ reject }) => reject(error));
+        });
+    }
+  }
+
+  function isFavorite(productId, { listId = DEFAULT_LIST_ID } = {}) {
+    if (!CAN_SAVE) return Promise.resolve(false);
+    const id = toGid(PRODUCT_GID_PREFIX, productId);
+    const state = readState(listId);
+    if (id in state.favorited) return Promise.resolve(state.favorited[id]);
+    if (state.complete) return Promise.resolve(false);
+
+    return new Promise((resolve, reject) => {
+      if (!pending.has(listId)) {
+        pending.set(listId, new Map());
+        setTimeout(() => flush(listId), 0);
+      }
+      const batch = pending.get(listId);
+      if (!batch.has(id)) batch.set(id, []);
+      batch.get(id).push({ resolve, reject });
+    });
+  }
+
+  // --- write queue
+
+  let draining = false;
+  let retryTimer = null;
+  let retryDelay = 1000;
+
+  function scheduleRetry(minDelay = 0) {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(drain, Math.max(retryDelay, minDelay));
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+  }
+
+  function send(op) {
+    const body = { productId: op.productId, variantId: op.variantId, listId: op.listId };
+    return op.type === "add"
+      ? request("PUT", { ...body, note: op.note, source: op.source }, { idempotencyKey: op.key })
+      : request("DELETE", body, { idempotencyKey: op.key });
+  }
+
+  // Removes the op from the queue and, unless a later queued write for the
+  // same product decides its state anyway, settles the cached state.
+  function settle(op, favorited, count, error) {
+    const queue = readQueue().filter((queued) => queued.key !== op.key);
+    writeQueue(queue);
+    const superseded = queue.some(
+      (queued) => queued.listId === op.listId && queued.productId === op.productId,
+    );
+
+    const state = readState(op.listId);
+    if (count !== undefined) {
+      state.count = count;
+    } else if (error && state.count !== null && op.previous !== (op.type === "add")) {
+      state.count += op.type === "add" ? -1 : 1;
+    }
+    if (!superseded) state.favorited[op.productId] = favorited;
+    writeState(op.listId, state);
+
+    if (!superseded || error) {
+      emitChange({
+        productId: op.productId,
+        listId: op.listId,
+        favorited: state.favorited[op.productId],
+        count: state.count,
+        ...(error ? { error } : {}),
+      });
+    }
+  }
+
+  async function drain() {
+    if (draining || navigator.onLine === false) return;
+    draining = true;
+    clearTimeout(retryTimer);
+
+    try {
+      for (let op = readQueue()[0]; op; op = readQueue()[0]) {
+        try {
+          const data = await send(op);
+          settle(op, op.type === "add", data.count);
+        } catch (error) {
+          if (error instanceof RejectedError) {
+            console.error("[favorites] Write rejected, rolling back:", error);
+            settle(op, op.previous, undefined, error.message);
+          } else {
+            scheduleRetry(error.retryAfterMs);
+            return;
+          }
+        }
+      }
+      retryDelay = 1000;
+    } finally {
+      draining = false;
+    }
+  }
+
+  async function enqueue(type, productId, { listId = DEFAULT_LIST_ID, variantId, note, source }) {
+    if (!CAN_SAVE) throw new RejectedError("Customer must be logged in to save favorites");
+    const id = toGid(PRODUCT_GID_PREFIX, productId);
+    const previous = await isFavorite(id, { listId }).catch(() => type !== "add");
+    const favorited = type === "add";
+
+    writeQueue([
+      ...readQueue(),
+      {
+        key: newKey(),
+        type,
+        productId: id,
+        variantId: toGid(VARIANT_GID_PREFIX, variantId),
+        listId,
+        note,
+        source,
+        previous,
+      },
+    ]);
+
+    const state = readState(listId);
+    if (state.count !== null && previous !== favorited) state.count += favorited ? 1 : -1;
+    state.favorited[id] = favorited;
+    writeState(listId, state);
+    emitChange({ productId: id, listId, favorited, count: state.count });
+
+    drain();
+    return favorited;
+  }
+
+  async function toggle(productId, options = {}) {
+    const listId = options.listId ?? DEFAULT_LIST_ID;
+    const favorited = await isFavorite(productId, { listId }).catch(() => false);
+    return enqueue(favorited ? "remove" : "add", productId, options);
+  }
+
+  async function remove(productId, options = {}) {
+    await enqueue("remove", productId, options);
+  }
+
+  // --- whole list
+
+  async function list({ listId = DEFAULT_LIST_ID } = {}) {
+    if (!CAN_SAVE) return [];
+    const data = await request("GET", null, { params: { listId } });
+    const removing = new Set(
+      readQueue()
+        .filter((op) => op.listId === listId && op.type === "remove")
+        .map((op) => op.productId),
+    );
+    writeState(
+      listId,
+      overlayQueue(listId, {
+        favorited: Object.fromEntries(data.favorites.map((entry) => [entry.productId, true])),
+        count: data.count,
+        complete: true,
+      }),
+    );
+    return data.favorites.filter((entry) => !removing.has(entry.productId));
+  }
+
+  async function count({ listId = DEFAULT_LIST_ID } = {}) {
+    if (!CAN_SAVE) return 0;
+    const state = readState(listId);
+    if (state.count !== null) return state.count;
+    await list({ listId });
+    return readState(listId).count;
+  }
+
+  async function lists() {
+    if (!CUSTOMER_ID) return [];
+    const data = await request("GET", null, { path: "favorite-lists" });
+    return data.lists;
+  }
+
+  // --- alert emails, for logged-in customers
+
+  async function getAlertOptOut() {
+    const data = await request("GET", null, { path: "alert-preferences" });
+    return data.optedOut;
+  }
+
+  async function setAlertOptOut(optedOut) {
+    const data = await request("PUT", { optedOut }, { path: "alert-preferences" });
+    return data.optedOut;
+  }
+
+  adoptGuestQueue();
+  window.addEventListener("online", drain);
+  drain();
+
+  const settings = {
+    canSave: CAN_SAVE,
+    alerts: Boolean(CUSTOMER_ID) && config.alerts === true,
+    text: config.text ?? {},
+  };
+
+  window.FavApp = {
+    isFavorite,
+    toggle,
+    remove,
+    list,
+    count,
+    lists,
+    getAlertOptOut,
+    setAlertOptOut,
+    settings,
+  };
+  document.dispatchEvent(new CustomEvent("favapp:ready"));
+})();
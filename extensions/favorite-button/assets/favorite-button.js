@@ -0,0 +1,63 @@
+(() => {
+  if (customElements.get("favorite-button")) return;
+
+  // The block loads the FavApp SDK and defines window.whenFavApp (see
+  // snippets/favapp-sdk.liquid); it rejects if the SDK fails to load.
+  class FavoriteButton extends HTMLElement {
+    connectedCallback() {
+      this.button = this.querySelector("button");
+      this.label = this.querySelector(".favapp-button__label");
+      this.status = this.querySelector(".favapp-button__status");
+      this.productId = `gid://shopify/Product/${this.dataset.productId}`;
+      this.listId = this.dataset.listId;
+
+      this.button.addEventListener("click", () => this.toggle());
+      document.addEventListener("favapp:change", (event) => {
+        const { productId, listId, favorited, error } = event.detail;
+        if (productId !== this.productId || listId !== this.listId) return;
+        this.render(favorited);
+        if (error) this.status.textContent = this.text("errorMessage");
+      });
+
+      window
+        .whenFavApp()
+        .then((favApp) => favApp.isFavorite(this.productId, { listId: this.listId }))
+        .then((favorited) => this.render(favorited))
+        .catch((error) => {
+          console.error("[favorites] Could not load favorites:", error);
+          // Without the SDK the button cannot do anything, so it stays
+          // disabled.
+          if (window.FavApp) this.render(false);
+          else this.status.textContent = this.text("errorMessage") || error.message;
+        });
+    }
+
+    // Block text first, then the shop's text from the app's settings.
+    text(name) {
+      return this.dataset[name] || window.FavApp?.settings.text[name] || "";
+    }
+
+    render(favorited) {
+      this.favorited = favorited;
+      this.button.disabled = false;
+      this.button.setAttribute("aria-pressed", String(favorited));
+      this.label.textContent = this.text(favorited ? "removeLabel" : "addLabel");
+    }
+
+    // Optimistic: the SDK announces the new state right away, queues the write
+    // and rolls back with an error if the server rejects it.
+    toggle() {
+      if (!window.FavApp.settings.canSave) {
+        window.location.href = this.dataset.loginUrl;
+        return;
+      }
+      this.status.textContent = "";
+      window.FavApp.toggle(this.productId, { listId: this.listId, source: "pdp" }).catch((error) => {
+        console.error("[favorites] Could not update favorites:", error);
+        this.status.textContent = this.text("errorMessage");
+      });
+    }
+  }
+
+  customElements.define("favorite-button", FavoriteButton);
+})();
@@ -0,0 +1,268 @@
+(() => {
+  if (customElements.get("favorites-page")) return;
+
+  function numericId(gid) {
+    return gid ? Number(String(gid).split("/").pop()) : null;
+  }
+
+  function sizedImage(url, width) {
+    if (!url) return null;
+    return `${url}${url.includes("?") ? "&" : "?"}width=${width}`;
+  }
+
+  class FavoritesPage extends HTMLElement {
+    connectedCallback() {
+      this.grid = this.querySelector(".favapp-list__grid");
+      this.loading = this.querySelector(".favapp-list__loading");
+      this.status = this.querySelector(".favapp-list__status");
+      this.empty = this.querySelector(".favapp-list__empty");
+      this.pagination = this.querySelector(".favapp-list__pagination");
+      this.template = this.querySelector(".favapp-list__card-template");
+      this.root = this.dataset.rootUrl.replace(/\/$/, "");
+      this.pageSize = Number(this.dataset.pageSize) || 12;
+      this.page = 0;
+      this.products = new Map();
+      this.money = new Intl.NumberFormat(this.dataset.locale || undefined, {
+        style: "currency",
+        currency: this.dataset.currency,
+      });
+
+      this.pagination.addEventListener("click", (event) => {
+        const direction = event.target.closest("[data-page]")?.dataset.page;
+        if (!direction) return;
+        this.page += direction === "next" ? 1 : -1;
+        this.renderPage();
+        this.scrollIntoView({ behavior: "smooth", block: "start" });
+      });
+
+      document.addEventListener("favapp:change", (event) => {
+        const { listId, error } = event.detail;
+        if (!error || listId !== this.dataset.listId) return;
+        this.status.textContent = this.text("errorMessage");
+        this.load();
+      });
+
+      this.load();
+      this.loadLists();
+      this.loadAlertPreference();
+    }
+
+    // The customer's lists, to switch between. The block's list is kept as an
+    // option even when the customer has not saved anything to it yet.
+    async loadLists() {
+      const picker = this.querySelector(".favapp-list__picker");
+      if (!picker) return;
+      const select = picker.querySelector("select");
+
+      try {
+        const favApp = await window.whenFavApp();
+        const lists = await favApp.lists();
+        if (!lists.some((list) => list.handle === this.dataset.listId)) {
+          // Named the way the app names it once something is saved.
+          const words = this.dataset.listId.replace(/-/g, " ");
+          lists.unshift({
+            handle: this.dataset.listId,
+            name: words.charAt(0).toUpperCase() + words.slice(1),
+          });
+        }
+        if (lists.length < 2) return;
+        select.replaceChildren(...lists.map((list) => new Option(list.name, list.handle)));
+        select.value = this.dataset.listId;
+        picker.hidden = false;
+      } catch (error) {
+        console.error("[favorites] Could not load lists:", error);
+        return;
+      }
+
+      select.addEventListener("change", () => {
+        this.dataset.listId = select.value;
+        this.page = 0;
+        this.status.textContent = "";
+        this.loading.hidden = false;
+        this.grid.hidden = true;
+        this.empty.hidden = true;
+        this.pagination.hidden = true;
+        this.load();
+      });
+    }
+
+    // The opt-out for restock and price-drop emails, which the emails point
+    // customers to.
+    async loadAlertPreference() {
+      const label = this.querySelector(".favapp-list__alerts");
+      if (!label) return;
+      const input = label.querySelector("input");
+
+      try {
+        const favApp = await window.whenFavApp();
+        if (!favApp.settings.alerts) return;
+        input.checked = !(await favApp.getAlertOptOut());
+        label.hidden = false;
+      } catch (error) {
+        console.error("[favorites] Could not load alert preference:", error);
+        return;
+      }
+
+      input.addEventListener("change", async () => {
+        input.disabled = true;
+        this.status.textContent = "";
+        try {
+          input.checked = !(await window.FavApp.setAlertOptOut(!input.checked));
+        } catch (error) {
+          console.error("[favorites] Could not save alert preference:", error);
+          input.checked = !input.checked;
+          this.status.textContent = this.text("errorMessage");
+        } finally {
+          input.disabled = false;
+        }
+      });
+    }
+
+    // Block text first, then the shop's text from the app's settings.
+    text(name) {
+      return this.dataset[name] || window.FavApp?.settings.text[name] || "";
+    }
+
+    async load() {
+      // A load for a list the customer has since switched away from is
+      // dropped.
+      const { listId } = this.dataset;
+      try {
+        const favApp = await window.whenFavApp();
+        // Guest favorites are off: the log in prompt is all there is to show.
+        if (!favApp.settings.canSave) return;
+
+        const message = this.empty.querySelector(".favapp-list__empty-message");
+        if (!message.textContent.trim()) message.textContent = this.text("emptyMessage");
+
+        const favorites = await favApp.list({ listId });
+        if (listId !== this.dataset.listId) return;
+        // Newest first.
+        this.favorites = [...favorites].reverse();
+        await this.renderPage();
+      } catch (error) {
+        if (listId !== this.dataset.listId) return;
+        console.error("[favorites] Could not load favorites:", error);
+        this.status.textContent = this.text("errorMessage") || error.message;
+      } finally {
+        if (listId === this.dataset.listId) this.loading.hidden = true;
+      }
+    }
+
+    // Product details for entries with a handle, from the storefront's own
+    // product JSON. Null when the product is gone or unpublished.
+    async fetchProduct(handle) {
+      if (!handle) return null;
+      if (!this.products.has(handle)) {
+        this.products.set(
+          handle,
+          fetch(`${this.root}/products/${encodeURIComponent(handle)}.js`)
+            .then((response) => (response.ok ? response.json() : null))
+            .catch(() => null),
+        );
+      }
+      return this.products.get(handle);
+    }
+
+    async renderPage() {
+      const pageCount = Math.max(1, Math.ceil(this.favorites.length / this.pageSize));
+      this.page = Math.min(Math.max(this.page, 0), pageCount - 1);
+      const entries = this.favorites.slice(this.page * this.pageSize, (this.page + 1) * this.pageSize);
+      const products = await Promise.all(entries.map((entry) => this.fetchProduct(entry.handle)));
+
+      this.grid.replaceChildren(...entries.map((entry, i) => this.renderCard(entry, products[i])));
+      this.grid.hidden = entries.length === 0;
+      this.empty.hidden = entries.length > 0;
+
+      this.pagination.hidden = pageCount < 2;
+      this.pagination.querySelector(".favapp-list__page").textContent = `${this.page + 1} / ${pageCount}`;
+      this.pagination.querySelector('[data-page="previous"]').disabled = this.page === 0;
+      this.pagination.querySelector('[data-page="next"]').disabled = this.page >= pageCount - 1;
+    }
+
+    renderCard(entry, product) {
+      const card = this.template.content.firstElementChild.cloneNode(true);
+      const title = card.querySelector(".favapp-card__title");
+      const availability = card.querySelector(".favapp-card__availability");
+      const addToCart = card.querySelector(".favapp-card__add-to-cart");
+      const remove = card.querySelector(".favapp-card__remove");
+
+      remove.textContent = this.dataset.removeLabel;
+      remove.addEventListener("click", () => this.remove(entry, remove));
+
+      if (!product) {
+        card.classList.add("favapp-card--unavailable");
+        title.textContent = entry.handle ?? "";
+        availability.textContent = this.dataset.unavailableLabel;
+        return card;
+      }
+
+      const variant =
+        product.variants.find((candidate) => candidate.id === numericId(entry.variantId)) ??
+        product.variants.find((candidate) => candidate.available) ??
+        product.variants[0];
+      const url = `${this.root}/products/${product.handle}${entry.variantId ? `?variant=${variant.id}` : ""}`;
+      const image = variant.featured_image?.src ?? product.featured_image;
+
+      card.querySelectorAll("a").forEach((link) => (link.href = url));
+      title.textContent = entry.variantId && product.variants.length > 1
+        ? `${product.title} – ${variant.title}`
+        : product.title;
+      if (image) {
+        const img = card.querySelector(".favapp-card__image");
+        img.src = sizedImage(image, 400);
+        img.alt = product.title;
+      } else {
+        card.querySelector(".favapp-card__image-link").remove();
+      }
+      card.querySelector(".favapp-card__price").textContent = this.money.format(variant.price / 100);
+
+      availability.textContent = variant.available ? "" : this.dataset.soldOutLabel;
+      addToCart.textContent = this.dataset.addToCartLabel;
+      addToCart.disabled = !variant.available;
+      addToCart.addEventListener("click", () => this.addToCart(variant, addToCart));
+
+      return card;
+    }
+
+    // The card goes at once; if the server rejects the removal, the SDK rolls
+    // it back and the list is loaded again.
+    async remove(entry, button) {
+      button.disabled = true;
+      this.status.textContent = "";
+      try {
+        await window.FavApp.remove(entry.productId, {
+          listId: this.dataset.listId,
+          variantId: entry.variantId,
+        });
+        this.favorites = this.favorites.filter((item) => item !== entry);
+        await this.renderPage();
+      } catch (error) {
+        console.error("[favorites] Could not remove favorite:", error);
+        this.status.textContent = this.text("errorMessage");
+        button.disabled = false;
+      }
+    }
+
+    async addToCart(variant, button) {
+      button.disabled = true;
+      this.status.textContent = "";
+      try {
+        const response = await fetch(`${this.root}/cart/add.js`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Accept: "application/json" },
+          body: JSON.stringify({ items: [{ id: variant.id, quantity: 1 }] }),
+        });
+        if (!response.ok) throw new Error(`Cart responded ${response.status}`);
+        button.textContent = this.dataset.addedLabel;
+      } catch (error) {
+        console.error("[favorites] Could not add to cart:", error);
+        this.status.textContent = this.text("errorMessage");
+      } finally {
+        button.disabled = false;
+      }
+    }
+  }
+
+  customElements.define("favorites-page", FavoritesPage);
+})();
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "ProductHandle" (
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "handle" TEXT NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "productId")
+);
+
+-- CreateIndex
+CREATE INDEX "ProductHandle_shop_handle_idx" ON "ProductHandle"("shop", "handle");
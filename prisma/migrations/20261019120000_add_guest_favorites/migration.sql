@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "guestTtlDays" INTEGER NOT NULL DEFAULT 30;
+
+-- CreateTable
+CREATE TABLE "GuestFavorite" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "guestId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "note" TEXT,
+    "source" TEXT,
+    "addedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "GuestFavorite_shop_guestId_idx" ON "GuestFavorite"("shop", "guestId");
+
+-- CreateIndex
+CREATE INDEX "GuestFavorite_expiresAt_idx" ON "GuestFavorite"("expiresAt");
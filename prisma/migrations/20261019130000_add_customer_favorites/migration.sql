@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "storageBackend" TEXT NOT NULL DEFAULT 'metafields';
+
+-- CreateTable
+CREATE TABLE "CustomerFavorites" (
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "document" TEXT NOT NULL,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "customerId")
+);
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "ShareLink" (
+    "token" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "listId" TEXT NOT NULL,
+    "viewCount" INTEGER NOT NULL DEFAULT 0,
+    "lastViewedAt" DATETIME,
+    "revokedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "ShareLink_shop_customerId_listId_idx" ON "ShareLink"("shop", "customerId", "listId");
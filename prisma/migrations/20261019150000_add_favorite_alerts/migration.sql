@@ -0,0 +1,62 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "alertsEnabled" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "ShopSettings" ADD COLUMN "priceDropThreshold" INTEGER NOT NULL DEFAULT 10;
+ALTER TABLE "ShopSettings" ADD COLUMN "alertDedupHours" INTEGER NOT NULL DEFAULT 72;
+
+-- CreateTable
+CREATE TABLE "FavoriteIndex" (
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+
+    PRIMARY KEY ("shop", "customerId", "productId")
+);
+
+-- CreateTable
+CREATE TABLE "VariantSnapshot" (
+    "shop" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "price" TEXT NOT NULL,
+    "available" BOOLEAN NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "variantId")
+);
+
+-- CreateTable
+CREATE TABLE "AlertOptOut" (
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY ("shop", "customerId")
+);
+
+-- CreateTable
+CREATE TABLE "Notification" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "kind" TEXT NOT NULL,
+    "payload" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sentAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "FavoriteIndex_shop_productId_idx" ON "FavoriteIndex"("shop", "productId");
+
+-- CreateIndex
+CREATE INDEX "VariantSnapshot_shop_productId_idx" ON "VariantSnapshot"("shop", "productId");
+
+-- CreateIndex
+CREATE INDEX "Notification_shop_status_idx" ON "Notification"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "Notification_shop_customerId_productId_kind_createdAt_idx" ON "Notification"("shop", "customerId", "productId", "kind", "createdAt");
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "FavoriteEvent" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT,
+    "guestId" TEXT,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "listId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "FavoriteEvent_shop_createdAt_idx" ON "FavoriteEvent"("shop", "createdAt");
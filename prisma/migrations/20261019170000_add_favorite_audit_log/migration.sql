@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "FavoriteAuditLog" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "staffUserId" TEXT,
+    "staffName" TEXT NOT NULL,
+    "staffEmail" TEXT,
+    "action" TEXT NOT NULL,
+    "listId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "FavoriteAuditLog_shop_customerId_createdAt_idx" ON "FavoriteAuditLog"("shop", "customerId", "createdAt");
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "ComplianceRequest" (
+    "webhookId" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "customerId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'processing',
+    "result" TEXT,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "ComplianceRequest_shop_createdAt_idx" ON "ComplianceRequest"("shop", "createdAt");
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "ShopPurge" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "uninstalledAt" DATETIME NOT NULL,
+    "scheduledFor" DATETIME NOT NULL,
+    "cancelledAt" DATETIME,
+    "purgedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "ShopPurge_scheduledFor_idx" ON "ShopPurge"("scheduledFor");
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "shopperRateLimit" INTEGER NOT NULL DEFAULT 60;
+ALTER TABLE "ShopSettings" ADD COLUMN "shopRateLimit" INTEGER NOT NULL DEFAULT 600;
+
+-- CreateTable
+CREATE TABLE "RateLimitBucket" (
+    "shop" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "tokens" REAL NOT NULL,
+    "refilledAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "key")
+);
+
+-- CreateIndex
+CREATE INDEX "RateLimitBucket_refilledAt_idx" ON "RateLimitBucket"("refilledAt");
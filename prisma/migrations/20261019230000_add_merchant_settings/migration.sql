@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "maxFavorites" INTEGER NOT NULL DEFAULT 200;
+ALTER TABLE "ShopSettings" ADD COLUMN "guestFavoritesEnabled" BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "ShopSettings" ADD COLUMN "metafieldNamespace" TEXT NOT NULL DEFAULT 'favorite';
+ALTER TABLE "ShopSettings" ADD COLUMN "metafieldKey" TEXT NOT NULL DEFAULT 'favorite_entries';
+ALTER TABLE "ShopSettings" ADD COLUMN "addLabel" TEXT NOT NULL DEFAULT 'Add to favorites';
+ALTER TABLE "ShopSettings" ADD COLUMN "removeLabel" TEXT NOT NULL DEFAULT 'Remove from favorites';
+ALTER TABLE "ShopSettings" ADD COLUMN "emptyMessage" TEXT NOT NULL DEFAULT 'You haven''t saved any favorites yet.';
+ALTER TABLE "ShopSettings" ADD COLUMN "errorMessage" TEXT NOT NULL DEFAULT 'Could not update your favorites. Please try again.';
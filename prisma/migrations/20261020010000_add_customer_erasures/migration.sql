@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "CustomerErasure" (
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "scheduledFor" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "customerId")
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerErasure_scheduledFor_idx" ON "CustomerErasure"("scheduledFor");
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "MissingProduct" (
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "productId")
+);
+
+-- CreateIndex
+CREATE INDEX "MissingProduct_expiresAt_idx" ON "MissingProduct"("expiresAt");
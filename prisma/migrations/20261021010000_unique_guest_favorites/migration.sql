@@ -0,0 +1,29 @@
+-- Keep the earliest of any duplicate guest favorites.
+DELETE FROM "GuestFavorite" WHERE "id" NOT IN (
+    SELECT MIN("id") FROM "GuestFavorite"
+    GROUP BY "shop", "guestId", "productId", COALESCE("variantId", '')
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_GuestFavorite" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "guestId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL DEFAULT '',
+    "note" TEXT,
+    "source" TEXT,
+    "addedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL
+);
+INSERT INTO "new_GuestFavorite" ("id", "shop", "guestId", "productId", "variantId", "note", "source", "addedAt", "expiresAt")
+SELECT "id", "shop", "guestId", "productId", COALESCE("variantId", ''), "note", "source", "addedAt", "expiresAt" FROM "GuestFavorite";
+DROP TABLE "GuestFavorite";
+ALTER TABLE "new_GuestFavorite" RENAME TO "GuestFavorite";
+CREATE INDEX "GuestFavorite_shop_guestId_idx" ON "GuestFavorite"("shop", "guestId");
+CREATE INDEX "GuestFavorite_expiresAt_idx" ON "GuestFavorite"("expiresAt");
+CREATE UNIQUE INDEX "GuestFavorite_shop_guestId_productId_variantId_key" ON "GuestFavorite"("shop", "guestId", "productId", "variantId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
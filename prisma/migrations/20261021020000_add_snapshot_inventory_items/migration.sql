@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "VariantSnapshot" ADD COLUMN "inventoryItemId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "VariantSnapshot_shop_inventoryItemId_idx" ON "VariantSnapshot"("shop", "inventoryItemId");